@@ -0,0 +1,75 @@
+import { Board } from "./src/board.js";
+import { State } from "./src/state.js";
+import { decodeTile } from "./src/tile.js";
+
+/**
+ * @typedef {(x: number, y: number) => string} TileGenerator Gets the encoding
+ * of the tile at a point
+ */
+
+const SIZE = 64;
+const MAX_TICKS = 200;
+
+/** @type {[string, TileGenerator][]} */
+const scenarios = [
+  [
+    "Falling rocks",
+    (x, y) => (y < SIZE / 2 && (x + y) % 2 === 0) ? "R." : " ",
+  ],
+  [
+    "Flowing water",
+    (x, y) => {
+      if (y === 0) {
+        return x % 8 === 0 ? "~+" : " ";
+      }
+
+      return (y % 16 === 15 && x % 4 !== 0) ? "W" : " ";
+    },
+  ],
+  [
+    "Falling rocks and flowing water",
+    (x, y) => {
+      if (y === 0) {
+        return x % 8 === 0 ? "~+" : "R.";
+      }
+
+      if (y % 16 === 15) {
+        return x % 4 !== 0 ? "W" : " ";
+      }
+
+      return (y < SIZE / 2 && (x + y) % 3 === 0) ? "R." : " ";
+    },
+  ],
+];
+
+/**
+ * Creates a square board
+ *
+ * @param {TileGenerator} getTile
+ */
+function createBoard(getTile) {
+  const tiles = [];
+  for (let y = 0; y < SIZE; ++y) {
+    for (let x = 0; x < SIZE; ++x) {
+      tiles.push(decodeTile([...getTile(x, y)], 0).tile);
+    }
+  }
+
+  return new Board(SIZE, SIZE, tiles);
+}
+
+for (const [name, getTile] of scenarios) {
+  const state = new State(createBoard(getTile));
+
+  // The game state is checked after every tick, as it is when rendering
+  const start = performance.now();
+  for (let tick = 0; tick < MAX_TICKS && !state.settle(1); ++tick) {
+    void state.gameState;
+  }
+  const elapsed = performance.now() - start;
+
+  console.log(
+    `${name}: ${state.ticks} ticks in ${elapsed.toFixed(0)}ms ` +
+    `(${(elapsed / state.ticks).toFixed(2)}ms per tick)`
+  );
+}
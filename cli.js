@@ -0,0 +1,533 @@
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { parseArgs } from "node:util";
+
+import { decodeBoard, encodeBoard } from "./src/board.js";
+import Levels from "./src/levels.js";
+import {
+  analyzePatterns,
+  findUnmatchedPatterns,
+} from "./src/patternAnalyzer.js";
+import { patterns } from "./src/patterns.js";
+import { decodeInputDirection } from "./src/replay.js";
+import { computeScore, getStars } from "./src/scoring.js";
+import {
+  DEFAULT_MAX_NODES,
+  DEFAULT_MAX_TICKS,
+  DEFAULT_MAX_TIME_MS,
+  solve,
+} from "./src/solver.js";
+import { State } from "./src/state.js";
+
+/**
+ * @typedef {import("./src/board.js").Board} Board
+ * @typedef {import("./src/patterns.js").Gravity} Gravity
+ * @typedef {import("./src/scoring.js").StarScores} StarScores
+ * @typedef {import("./src/state.js").StateOptions} StateOptions
+ * @typedef {import("./src/state.js").TraceRecord} TraceRecord
+ * @typedef {import("./src/tile.js").Tile} Tile
+ *
+ * @typedef LoadedBoard
+ * @property {Board} board
+ * @property {StateOptions} options
+ * @property {number} [par]
+ * @property {StarScores} [starScores]
+ */
+
+const USAGE = `Usage:
+  node cli.js run <board or level name> [moves] [options]
+  node cli.js solve <board or level name> [options]
+  node cli.js analyze [options]
+
+run plays a board headlessly. Moves are a string of U, D, L and R and the
+board settles after each move.
+
+solve searches for the shortest moves that win a board and exits with 1 if
+none were found within the limits.
+
+analyze reports simulation rules that can never match because an earlier rule
+always matches first, and rules that can match the same region as an earlier
+rule. It exits with 1 if any rule can never match.
+
+Options:
+  --max-ticks <n>    The most ticks to wait for the board to settle per move
+                     (default ${DEFAULT_MAX_TICKS})
+  --gravity <dir>    The direction rocks fall in (Down, Left, Right or Up),
+                     overriding the level's (default Down)
+  --expect <state>   run only: exits with 1 unless the game ends in the given
+                     state (Win, Lose or "In Progress")
+  --trace            run only: prints every rule that matched
+  --max-nodes <n>    solve only: the most distinct boards to visit
+                     (default ${DEFAULT_MAX_NODES})
+  --max-time <ms>    solve only: the most time to spend searching
+                     (default ${DEFAULT_MAX_TIME_MS})
+  --coverage         analyze only: runs the tests and reports rules they never
+                     match
+  --json             Prints the result as JSON`;
+
+/** @type {Gravity[]} */
+const GRAVITIES = ["Down", "Left", "Right", "Up"];
+
+/**
+ * Converts a tile to a single character
+ *
+ * @param {Tile} tile
+ * @returns {string}
+ */
+function tileToAscii(tile) {
+  switch (tile.type) {
+    case "Bomb":
+      return tile.isLit ? "&" : "%";
+
+    case "Collectable":
+      return "*";
+
+    case "CrackedWall":
+      return tile.hitsRemaining === 1 ? "k" : "K";
+
+    case "Dirt":
+      return tile.flowDirection === "None" ? ":" : ";";
+
+    case "Door":
+      return tile.color[0];
+
+    case "Enemy":
+      return "E";
+
+    case "Exit":
+      return { Closed: "]", Entered: "}", Open: "[" }[tile.status];
+
+    case "Explosion":
+      return "!";
+
+    case "FallingCollectable":
+      return "$";
+
+    case "Gate":
+      return { Down: "v", Left: "<", Right: ">", Up: "^" }[tile.direction];
+
+    case "Empty":
+      if (tile.keyColor !== "None") {
+        return tile.keyColor[0].toLowerCase();
+      }
+
+      if (tile.teleporterChannel !== undefined) {
+        return tile.teleporterChannel;
+      }
+
+      if (tile.plateChannel !== undefined) {
+        return "_";
+      }
+
+      if (tile.toggleWallChannel !== undefined) {
+        return "h";
+      }
+
+      return tile.conveyorDirection === "Ice" ? "-" : " ";
+
+    case "IndestructibleWall":
+      return "=";
+
+    case "Lava":
+      return "L";
+
+    case "MagicWall":
+      return tile.status === "Expired" ? "#" : "M";
+
+    case "Player":
+      return tile.isAlive ? "@" : "X";
+
+    case "Rock":
+      return "O";
+
+    case "ToggleWall":
+      return "H";
+
+    case "Wall":
+      return "#";
+
+    case "Water":
+      return "~";
+  }
+}
+
+/**
+ * Draws a board as ASCII art surrounded by a border
+ *
+ * @param {Board} board
+ */
+function boardToAscii(board) {
+  const border = `+${"-".repeat(board.width)}+`;
+
+  const lines = [border];
+  for (let y = 0; y < board.height; ++y) {
+    const row = board.tiles.slice(y * board.width, (y + 1) * board.width);
+    lines.push(`|${row.map(tileToAscii).join("")}|`);
+  }
+  lines.push(border);
+
+  return lines.join("\n");
+}
+
+/**
+ * Loads a board and the settings it is played with from a level name or a
+ * board encoding
+ *
+ * @param {string} boardOrLevel
+ * @param {Gravity} [gravity] Overrides the level's gravity
+ * @returns {LoadedBoard}
+ */
+function loadBoard(boardOrLevel, gravity) {
+  const level = Levels.find(level => level.name === boardOrLevel);
+  return {
+    board: decodeBoard(level ? level.serialized : boardOrLevel),
+    options: {
+      gravity: gravity ?? level?.gravity ?? "Down",
+      maxMoves: level?.maxMoves,
+    },
+    par: level?.par,
+    starScores: level?.starScores,
+  };
+}
+
+/**
+ * Plays the moves on a board, settling the board after each one
+ *
+ * @param {Board} board
+ * @param {StateOptions} options
+ * @param {string} moves
+ * @param {number} maxTicks
+ * @param {(record: TraceRecord) => void} [onTrace]
+ */
+function run(board, options, moves, maxTicks, onTrace) {
+  const state = new State(board, options);
+  if (onTrace) {
+    state.addTraceListener(onTrace);
+  }
+
+  let settled = state.settle(maxTicks);
+
+  const chars = [...moves];
+  for (
+    let index = 0;
+    index < chars.length && settled && state.gameState === "In Progress";
+    ++index
+  ) {
+    state.movePlayers(decodeInputDirection(chars, index));
+
+    settled = state.settle(maxTicks);
+  }
+
+  return { state, settled };
+}
+
+/**
+ * Parses a positive integer option
+ *
+ * @param {string} name
+ * @param {string | undefined} value
+ * @param {number} defaultValue
+ */
+function parsePositiveInteger(name, value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error(`--${name} must be a positive integer`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Parses the gravity option
+ *
+ * @param {string | undefined} value
+ * @returns {Gravity | undefined}
+ */
+function parseGravity(value) {
+  const gravity = GRAVITIES.find(gravity => gravity === value);
+  if (value !== undefined && !gravity) {
+    throw new Error(`--gravity must be one of ${GRAVITIES.join(", ")}`);
+  }
+
+  return gravity;
+}
+
+/**
+ * @param {LoadedBoard} loaded
+ * @param {string} moves
+ * @param {{ json: boolean, expect?: string, maxTicks: number, trace: boolean }} options
+ */
+function runCommand(
+  { board, options, par, starScores },
+  moves,
+  { json, expect, maxTicks, trace }
+) {
+  /** @type {TraceRecord[]} */
+  const records = [];
+  const { state, settled } = run(
+    board,
+    options,
+    moves,
+    maxTicks,
+    trace ? record => records.push(record) : undefined
+  );
+  const score = state.gameState === "Win" ? computeScore(state) : undefined;
+
+  if (json) {
+    console.log(JSON.stringify({
+      board: encodeBoard(state.board),
+      gameState: state.gameState,
+      collected: state.collected,
+      collectablesRemaining: state.collectablesRemaining,
+      heldKeys: state.heldKeys,
+      movesMade: state.movesMade,
+      movesRemaining: state.movesRemaining,
+      par,
+      ticks: state.ticks,
+      activeTicks: state.activeTicks,
+      score,
+      stars: score === undefined ? undefined : getStars(score, starScores),
+      settled,
+      trace: trace ? records : undefined,
+    }));
+  } else {
+    for (const { tick, point, description } of records) {
+      console.log(`${tick}: "${description}" at (${point[0]}, ${point[1]})`);
+    }
+
+    console.log(boardToAscii(state.board));
+    console.log(state.gameState);
+    console.log(
+      `${state.collected} collected, ${state.collectablesRemaining} remaining`
+    );
+
+    const keys = Object.entries(state.heldKeys);
+    if (keys.length > 0) {
+      console.log(
+        `Keys: ${keys.map(([color, count]) => `${count} ${color}`).join(", ")}`
+      );
+    }
+
+    const movesRemaining = state.movesRemaining === undefined ?
+      "" :
+      ` (${state.movesRemaining} remaining)`;
+    const parText = par === undefined ? "" : `, par ${par}`;
+    console.log(
+      `${state.movesMade} moves${movesRemaining}${parText}, ` +
+        `${state.ticks} ticks (${state.activeTicks} active)`
+    );
+
+    if (score !== undefined) {
+      console.log(`Score ${score}, ${getStars(score, starScores)} stars`);
+    }
+
+    if (!settled) {
+      console.log(`The board did not settle within ${maxTicks} ticks`);
+    }
+  }
+
+  if (expect !== undefined && expect !== state.gameState) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * @param {LoadedBoard} loaded
+ * @param {{ json: boolean, maxNodes: number, maxTimeMs: number, maxTicks: number }} options
+ */
+function solveCommand(
+  { board, options },
+  { json, maxNodes, maxTimeMs, maxTicks }
+) {
+  const result = solve(board, { ...options, maxNodes, maxTimeMs, maxTicks });
+
+  if (json) {
+    console.log(JSON.stringify(result));
+  } else if (result.solved) {
+    console.log(`Solved in ${result.moves.length} moves: ${result.moves}`);
+    console.log(`${result.nodesVisited} boards visited`);
+  } else {
+    console.log(`Unsolvable within bounds (${result.reason})`);
+    console.log(`${result.nodesVisited} boards visited`);
+  }
+
+  if (!result.solved) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Runs the tests and collects the descriptions of the rules they matched
+ *
+ * @returns {Set<string>}
+ */
+function getTestedDescriptions() {
+  const root = dirname(process.argv[1]);
+  const testFiles = readdirSync(join(root, "test")).
+    filter(file => file.endsWith(".spec.js")).
+    map(file => `test/${file}`);
+
+  const directory = mkdtempSync(join(tmpdir(), "falling-rocks-"));
+  const file = join(directory, "matches.txt");
+  try {
+    const result = spawnSync(
+      process.execPath,
+      ["--import", "./test/recordMatches.js", "--test", ...testFiles],
+      {
+        cwd: root,
+        env: { ...process.env, RECORD_MATCHES_FILE: file },
+        stdio: "ignore",
+      }
+    );
+    if (result.error) {
+      throw result.error;
+    }
+
+    return new Set(readFileSync(file, "utf8").split("\n").filter(Boolean));
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Describes a rule by its index and description
+ *
+ * @param {number} index
+ */
+function describePattern(index) {
+  return `#${index} ${patterns[index][0]}`;
+}
+
+/**
+ * @param {{ json: boolean, coverage: boolean }} options
+ */
+function analyzeCommand({ json, coverage }) {
+  const analysis = analyzePatterns(patterns);
+  const unmatched = coverage ?
+    findUnmatchedPatterns(patterns, getTestedDescriptions()) :
+    undefined;
+
+  if (json) {
+    console.log(JSON.stringify({ ...analysis, unmatched }));
+  } else {
+    console.log(`${patterns.length} rules`);
+
+    for (const index of analysis.unsatisfiable) {
+      console.log(`${describePattern(index)} can never match`);
+    }
+
+    for (const { index, shadowedBy } of analysis.shadowed) {
+      console.log(
+        `${describePattern(index)} is shadowed by ${describePattern(shadowedBy)}`
+      );
+    }
+
+    for (const description of analysis.duplicateDescriptions) {
+      console.log(`"${description}" describes more than one rule`);
+    }
+
+    /** @type {Map<number, number[]>} */
+    const overlaps = new Map();
+    for (const [earlier, later] of analysis.overlapping) {
+      overlaps.set(later, [...(overlaps.get(later) ?? []), earlier]);
+    }
+
+    for (const [later, earlier] of overlaps) {
+      console.log(
+        `${describePattern(later)} can match the same region as ` +
+        earlier.map(index => `#${index}`).join(", ")
+      );
+    }
+
+    for (const index of unmatched ?? []) {
+      console.log(`${describePattern(index)} is not matched by any test`);
+    }
+  }
+
+  if (analysis.unsatisfiable.length > 0 || analysis.shadowed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      "coverage": { type: "boolean", default: false },
+      "expect": { type: "string" },
+      "gravity": { type: "string" },
+      "json": { type: "boolean", default: false },
+      "max-nodes": { type: "string" },
+      "max-ticks": { type: "string" },
+      "max-time": { type: "string" },
+      "trace": { type: "boolean", default: false },
+    },
+  });
+
+  const [command, boardOrLevel, moves = ""] = positionals;
+  const json = values.json ?? false;
+
+  if (command === "analyze") {
+    analyzeCommand({ json, coverage: values.coverage ?? false });
+    return;
+  }
+
+  if (!boardOrLevel) {
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  const maxTicks = parsePositiveInteger(
+    "max-ticks",
+    values["max-ticks"],
+    DEFAULT_MAX_TICKS
+  );
+
+  const gravity = parseGravity(values.gravity);
+
+  switch (command) {
+    case "run":
+      runCommand(loadBoard(boardOrLevel, gravity), moves, {
+        json,
+        expect: values.expect,
+        maxTicks,
+        trace: values.trace ?? false,
+      });
+      break;
+
+    case "solve":
+      solveCommand(loadBoard(boardOrLevel, gravity), {
+        json,
+        maxNodes: parsePositiveInteger(
+          "max-nodes",
+          values["max-nodes"],
+          DEFAULT_MAX_NODES
+        ),
+        maxTimeMs: parsePositiveInteger(
+          "max-time",
+          values["max-time"],
+          DEFAULT_MAX_TIME_MS
+        ),
+        maxTicks,
+      });
+      break;
+
+    default:
+      console.error(USAGE);
+      process.exitCode = 2;
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e instanceof Error ? e.message : e);
+  process.exitCode = 2;
+}
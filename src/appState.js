@@ -2,7 +2,8 @@
  * @typedef {(
  *   "None" |
  *   "Building" |
- *   "Playing"
+ *   "Playing" |
+ *   "Replaying"
  * )} State
  *
  * @typedef {(newState: State, oldState: State) => void} StateChangeCallback
@@ -23,6 +23,16 @@ export class Board {
     keyColor: "None",
   };
 
+  /**
+   * The number of tiles of each type
+   *
+   * @type {Map<Tile["type"], number>}
+   */
+  #typeCounts = new Map();
+
+  /** @type {number} */
+  #livingPlayerCount = 0;
+
   /**
    * @param {number} width
    * @param {number} height
@@ -55,6 +65,40 @@ export class Board {
     } else {
       this.tiles = Array(width * height).fill(Board.EMPTY_TILE, 0);
     }
+
+    for (const tile of this.tiles) {
+      this.#count(tile, 1);
+    }
+  }
+
+  /**
+   * The number of living players on the board
+   */
+  get livingPlayerCount() {
+    return this.#livingPlayerCount;
+  }
+
+  /**
+   * Counts the tiles of a type on the board
+   *
+   * @param {Tile["type"]} type
+   */
+  countTiles(type) {
+    return this.#typeCounts.get(type) ?? 0;
+  }
+
+  /**
+   * Adds a tile to or removes a tile from the counts
+   *
+   * @param {Tile} tile
+   * @param {1 | -1} change
+   */
+  #count(tile, change) {
+    this.#typeCounts.set(tile.type, this.countTiles(tile.type) + change);
+
+    if (tile.type === "Player" && tile.isAlive) {
+      this.#livingPlayerCount += change;
+    }
   }
 
   /**
@@ -94,7 +138,11 @@ export class Board {
    */
   setTile(pt, tile) {
     this.#validateCoordinate(pt);
-    this.tiles[pt[0] + pt[1] * this.width] = tile;
+
+    const index = pt[0] + pt[1] * this.width;
+    this.#count(this.tiles[index], -1);
+    this.#count(tile, 1);
+    this.tiles[index] = tile;
   }
 
   clone() {
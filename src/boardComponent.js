@@ -5,6 +5,7 @@
  */
 
 import { Board } from "./board.js";
+import { hasFloor } from "./tile.js";
 
 /**
  * Converts a water tile flow direction into text
@@ -89,16 +90,44 @@ function drawTile(context, tiles, tile, x, y, width, height) {
   context.save();
 
   let tileIndex;
-  if (tile.type === "Empty") {
+  if (tile.type === "Empty" && tile.teleporterChannel !== undefined) {
+    tileIndex = 22;
+  } else if (tile.type === "Empty" && tile.plateChannel !== undefined) {
+    tileIndex = 27;
+  } else if (tile.type === "Empty" && tile.toggleWallChannel !== undefined) {
+    tileIndex = 29;
+  } else if (tile.type === "Empty" && tile.conveyorDirection === "Ice") {
+    tileIndex = 17;
+  } else if (tile.type === "Empty") {
     tileIndex = 0;
   } else if (tile.type === "Wall") {
     tileIndex = 1;
+  } else if (tile.type === "IndestructibleWall") {
+    tileIndex = 18;
   } else if (tile.type === "Collectable") {
     tileIndex = 2;
   } else if (tile.type === "Rock") {
     tileIndex = 3;
+  } else if (tile.type === "FallingCollectable") {
+    tileIndex = 36;
   } else if (tile.type === "Dirt") {
     tileIndex = 4;
+  } else if (tile.type === "Bomb") {
+    tileIndex = tile.isLit ? 20 : 19;
+  } else if (tile.type === "Explosion") {
+    tileIndex = 21;
+  } else if (tile.type === "Gate") {
+    tileIndex = 23;
+  } else if (tile.type === "Enemy") {
+    tileIndex = 24;
+  } else if (tile.type === "Exit") {
+    tileIndex = { Closed: 25, Open: 26, Entered: 37 }[tile.status];
+  } else if (tile.type === "ToggleWall") {
+    tileIndex = 28;
+  } else if (tile.type === "CrackedWall") {
+    tileIndex = tile.hitsRemaining === 2 ? 34 : 35;
+  } else if (tile.type === "MagicWall") {
+    tileIndex = { Dormant: 32, Active: 33, Expired: 1 }[tile.status];
   } else if (tile.type === "Door") {
     switch (tile.color) {
       case "Blue":
@@ -121,6 +150,10 @@ function drawTile(context, tiles, tile, x, y, width, height) {
     tileIndex = 7;
   } else if (tile.type === "Water" && tile.flowDirection !== "All") {
     tileIndex = 8;
+  } else if (tile.type === "Lava" && tile.flowDirection === "All") {
+    tileIndex = 30;
+  } else if (tile.type === "Lava" && tile.flowDirection !== "All") {
+    tileIndex = 31;
   } else if (tile.type === "Player" && tile.isAlive) {
     tileIndex = 5;
   } else if (tile.type === "Player" && !tile.isAlive) {
@@ -193,9 +226,33 @@ function drawTile(context, tiles, tile, x, y, width, height) {
     case "Up":
       drawArrow(context, x, y, width, height, "Up");
       break;
+
+    case "Ice":
+      if (tile.type !== "Empty") {
+        const iceWidth = tiles.naturalWidth / 3;
+        const iceHeight = tiles.naturalWidth / 3;
+        context.drawImage(
+          tiles,
+          0,
+          tiles.naturalWidth * 17,
+          tiles.naturalWidth,
+          tiles.naturalWidth,
+          x + width / 4 - iceWidth / 2,
+          y + height * 3 / 4 - iceHeight / 2,
+          iceWidth,
+          iceHeight
+        );
+      }
+      break;
   }
 
-  if (tile.type === "Water") {
+  if (tile.type === "Gate") {
+    drawArrow(context, x, y, width, height, tile.direction);
+  } else if (tile.type === "Enemy") {
+    drawArrow(context, x, y, width, height, tile.facingDirection);
+  }
+
+  if (tile.type === "Water" || tile.type === "Lava") {
     const text = getFlowDirectionText(tile.flowDirection);
     context.strokeText(text, x + width / 4, y + height / 2);
   } else if (tile.type === "Dirt" && tile.flowDirection !== "None") {
@@ -203,6 +260,32 @@ function drawTile(context, tiles, tile, x, y, width, height) {
     context.strokeText(text, x + width / 4, y + height / 2);
   }
 
+  if (tile.type === "MagicWall" && tile.status !== "Expired") {
+    context.strokeText(
+      String(tile.ticksRemaining),
+      x + width / 4,
+      y + height / 2
+    );
+  }
+
+  if (hasFloor(tile) && tile.teleporterChannel !== undefined) {
+    context.strokeText(
+      tile.teleporterChannel,
+      x + width * 3 / 4,
+      y + height * 3 / 4
+    );
+  }
+
+  // Plates and the toggle walls they open show their channel to link them
+  if (tile.type === "ToggleWall") {
+    context.strokeText(tile.channel, x + width / 4, y + height / 4);
+  } else if (hasFloor(tile)) {
+    const channel = tile.plateChannel ?? tile.toggleWallChannel;
+    if (channel !== undefined) {
+      context.strokeText(channel, x + width / 4, y + height / 4);
+    }
+  }
+
   context.restore();
 }
 
@@ -13,12 +13,15 @@ export default class LevelEndPopup extends HTMLElement {
   /**
    * @param {string} title
    * @param {string=} actionName
+   * @param {string[]} [details] Lines shown below the title, such as the
+   * moves made and the score
    */
-  constructor(title, actionName) {
+  constructor(title, actionName, details = []) {
     super();
 
     this.title = title;
     this.actionName = actionName;
+    this.details = details;
   }
 
   connectedCallback() {
@@ -30,6 +33,18 @@ export default class LevelEndPopup extends HTMLElement {
     title.textContent = this.title;
     popupRoot.appendChild(title);
 
+    if (this.details.length > 0) {
+      const details = this.ownerDocument.createElement("div");
+      details.id = "details";
+      for (const detail of this.details) {
+        const line = this.ownerDocument.createElement("div");
+        line.textContent = detail;
+        details.appendChild(line);
+      }
+
+      popupRoot.appendChild(details);
+    }
+
     const buttons = this.ownerDocument.createElement("div");
 
     const returnToMainMenuButton = this.ownerDocument.createElement("button");
@@ -75,6 +90,11 @@ export default class LevelEndPopup extends HTMLElement {
         font-family: sans-serif;
         width: max-content;
       }
+
+      #details {
+        font-size: 200%;
+        font-family: sans-serif;
+      }
     `);
 
     shadowRoot.adoptedStyleSheets = [styles];
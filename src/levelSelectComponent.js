@@ -1,7 +1,7 @@
 import Levels from "./levels.js";
 
 /**
- * @typedef {typeof Levels[0]} Level
+ * @typedef {import("./levels.js").Level} Level
  */
 
 class LevelSelectedEvent extends Event {
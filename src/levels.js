@@ -1,102 +1,171 @@
+/**
+ * @typedef {import("./patterns.js").Gravity} Gravity
+ * @typedef {import("./scoring.js").StarScores} StarScores
+ *
+ * @typedef Level
+ * @property {string} name
+ * @property {string} serialized The encoded board
+ * @property {string} solution Moves that win the level as a string of U, D,
+ * L and R where the board settles after each move
+ * @property {Gravity} [gravity] The direction rocks fall and water flows in,
+ * down if not given
+ * @property {number} [maxMoves] The most moves players can make before the
+ * level is lost
+ * @property {number} [par] The number of moves a good solution takes
+ * @property {StarScores} [starScores] The scores needed for two and three
+ * stars, or undefined if every win earns one star
+ */
+
+/** @type {Level[]} */
 export default [
   {
     name: "level-1",
     serialized: "4;4;4 1Pa.6 1C4 ",
+    solution: "DRRR",
+    starScores: [840, 1050],
   },
   {
     name: "level-2",
     serialized: "6;6;11 1C1Pa.19 1C3 ",
+    solution: "DDDRRUUUURRR",
+    starScores: [850, 1060],
   },
   {
     name: "level-3",
     serialized: "6;6;2 1D.5 1D.1C4 1D.3 1Pa.1 1D.5 1D.1C4 1D.3 ",
+    solution: "DRRRUUU",
+    starScores: [890, 1120],
   },
   {
     name: "level-4",
     serialized: "7;6;3 1D.6 1D.3 1Pa.2 1W1C5 1D.6 1D.6 1W1C2 ",
+    solution: "URRRRDDDD",
+    starScores: [880, 1100],
   },
   {
     name: "level-5",
     serialized: "7;7;8D.3W1D.1W1C1D.1W1C1W1D.2W2D.1C1W4D.5W3D.1W1C3D.1W1D.1Pa.4W",
+    solution: "LULUURRUDLLUUURRRRRRDULLDDDRRDDLLL",
+    starScores: [820, 1020],
   },
   {
     name: "level-6",
     serialized: "20;20;7 6W12 2W6D.2W8 2W10D.2W5 1W14D.1W4 1W14D.1W3 1W16D.1W2 1W16D.1W1 1W5D.2C4D.2C5D.2W5D.2C4D.2C5D.2W18D.2W18D.2W18D.2W18D.1W1 1W2D.1C10D.1C2D.1R.2 1W3D.1C8D.1C3D.1R.3 1W3D.8C3D.1W1Pa.3 1W14D.1W5 2W10D.2W8 2W6D.2W12 6W7 ",
+    solution: "RUULLLLLDLDLLLLLLLULULUUUUURRURDRRRRRURD",
+    starScores: [2040, 2550],
   },
   {
     name: "level-7",
     serialized: "8;8;1Pa.3 1W1C1D.1C1D.2W1D.1C1W1D.1W1D.1W2 1W1C1D.1 1C1W1 1W1C1D.1W1 2W1 1C3W1 1C1D.1 1W1C3 1W1C1W1C3W1 1C1D.1C5D.",
+    solution: "DDDUUURRRDRLDLDDRLDLLRDDLRRRUDRRRRUULLLRRRUUULLDLRURUULRR",
+    starScores: [1330, 1670],
   },
   {
     name: "level-8",
     serialized: "20;20;1C4D.1W1C3D.1C1W1C2D.1C1D.1W2D.2W1D.1W1D.3W1D.5W1D.1W1D.1C1D.1W1Pa.2D.1W9D.1W3D.1W1D.1C2W1D.1W1D.3W1D.3W1D.1W1D.1W1D.1C1D.1W1C4D.1W1C1W1D.1W1C1W1D.1W1D.1C1D.1W2D.6W1D.1W1D.1W1D.1W3D.1W3D.1W1C1D.1C1W1C1D.1C1W1D.1W1D.1W1C1W3D.1W1D.1C3D.1W3D.1W1D.1W1D.9W1D.1W1D.1W1D.1W3D.1W1D.1W9D.1W3D.1W1D.1W1D.1W1D.1W8D.1C1W1D.1C1D.2C1W1D.1W1D.1W2D.4W2D.8W1D.1W1D.1W2D.1W2C1W2D.6C1W7D.1W4C1D.1W1C3W1C1W1D.4W2D.4W1C1D.1W1C1W1C1W2C1D.1W2D.1W6D.2C1W1C1W3C1W1D.1W3D.9C1W2C1W1C1W1C1W2D.9W2C1W1C1W1C3W1C1D.1W6D.1C1D.1W3C1W3C1W8D.2C1D.2C1W3C1W1C1W2D.1W5D.3C",
+    solution: "RRUULLRRDDDDLLRRRRUURRRRUULLRRRRLLDDRRRRDDDDURRURRURRURLULLULLLLRRDDDDRRDRRDRLULLULLDLLUUULLLLDDDDDDLLUUUUDDLLDDDLDRRRLLULLUUULLDDDDUUURRDDDRRRRUURRDDDDLDDLLUULLLLLRDDDUUURRRRDDDLLUDDLRDDLLULUDRDDLRURRDRRUUUDDRRDULLUUUURRDDUUUURRRRRDDDRRRRRRUUULLULDRRRDDRDLLLLLLLLLLDDDRRRRRRRRDRUUDDRULLLLLLLLLUUURRUUULLUUUUUUUU",
+    starScores: [4690, 5860],
   },
   {
     name: "level-9",
     serialized: "5;5;3 1W1C1 1W1D.1W2 1W1 1W2 1W1 1W1D.1Pa.1W3 ",
+    solution: "UUUURRDDDDRRUUUU",
+    starScores: [730, 920],
   },
   {
     name: "level-10",
     serialized: "5;8;2 1R.4 1R.4 1R.4 1R.4 1R.2 1Pa.1 1R.1C3 1R.4 1R.2 ",
+    solution: "URRRD",
+    starScores: [830, 1030],
   },
   {
     name: "level-11",
     serialized: "6;8;2 1R.1D.4 1R.5 1R.5 1R.3 1Pa.1 2R.4 2W1R.3 1W1C1D.3 1W1C1D.1 ",
+    solution: "URRRRDRDDLLD",
+    starScores: [840, 1060],
   },
   {
     name: "level-12",
     serialized: "2;3;1R.1 1Pa.1 1C1 ",
+    solution: "RDL",
+    starScores: [850, 1060],
   },
   {
     name: "level-13",
     serialized: "4;9;1R.3 1C3 1Pa.11 1R.3 1W1R.3 1D.1R.1 1C1 1D.1 ",
+    solution: "DDRDRDRDDLLLURUUUUUUL",
+    starScores: [760, 950],
   },
   {
     name: "level-14",
     serialized: "9;9;3 1W1 1W1R.2W3 1W1 1W1R.2W1 1R.1 1W1 1W1R.2W1 1R.3 1W1R.2W1 1R.1Pa.1R.2 1R.1D.1C1 1D.1W1D.2W1 2W5 1W1 2W1 1C6 1W5 1W1 2W",
+    solution: "LLDDDRRRRRRLLULUURRRRR",
+    starScores: [750, 930],
   },
   {
     name: "level-15",
-    serialized: "6;6;1Pa.>1C>3D.>1D.v1 v1 <2D.<1W1D.v1Cv2W1 ^1W1 v1 >1 v1W1 ^1W1 v1D.1C<1W1C^1C<1 <6W",
+    serialized: "6;6;1Pa.1C>3D.>1D.v1 v1 <2D.<1W1D.v1Cv2W1 ^1W1 v1 >1 v1W1 ^1W1 v1D.1C<1W1C^1C<1 <6W",
+    solution: "R",
+    starScores: [1170, 1460],
   },
   {
     name: "level-16",
     serialized: "9;9;2 1R.1 1R.1~+2 1W4 1W2 1W4 1W2 1W5 1C1 1D.1R.6 2W8 1D.8 1C3 1D.4W1R.2W1 1D.2 1Pa.1 1R.3 ",
+    solution: "LLLUUUUUUUURRRRLLDDDRDDDRR",
+    starScores: [700, 880],
   },
   {
     name: "level-17",
     serialized: "5;6;1C1R.1 1~+2 1W3 1C1D.1R.4 1W1D.1W1 1Pa.2 1C2 1W1 1W",
+    solution: "UULUURLDDDDRRRR",
+    starScores: [890, 1120],
   },
   {
     name: "level-18",
     serialized: "20;20;1 v2 <4D.<1~+2 10R.1 v1Pa.>1 >1R.>1 >1 v1D.^2 1 >9D.>1D.v2 v4 <1D.^2 1 ^1 v8~+<1 <2 v1W1R.1 >1 v1D.^2 1 ^1 v9 2 v2 >1R.^1 v1C^2 1 ^2 >1 v7W2 v1 ^1 <1W1 v1C^2 1 ^1R.1 1 >1R.>5~+>1~+v1 v2 >1 ^1W1 >1 ^2 1 ^2W1 1W1D.v4D.<1 <1 v3 1W1R.3 1 ^2 <2 5D.>2 v2 1~+2W1R.3 1W1 ^2 1D.v4D.<1 <1 v2 3~+1W1D.1W2 >1 ^2 5D.>2 v6W2 1R.^4 1D.v4D.<1 <1 >1C1D.>1C>1D.>4 >1C^4 4C>1Cv1 1W1C1D.<1C<1D.<1 1W7 1Cv4C<1 1W1 v1W2 >1 ^1W7 4C>1Cv1 1W1 v1W1 ^3W7 1Cv4C<1 1W1 v1W1 ^1 <2W6 1W1D.>1D.v1W2D.>1D.v1W1 v2W1D.^1C<1W7 1W2D.>1D.^1W1D.v1W1C1C>1 v1D.>1D.^1W5 7R.1D.v1W1D.>1C>1 >1 ^2W3 1W1 1D.v7D.<7W1 1W1 1W1 7D.>1C",
+    solution: "DDDLDRLUR",
+    starScores: [3100, 3870],
   },
   {
     name: "level-19",
     serialized: "10;10;1Pa.1W1D.>1C>1~+1R.5 1W1 1D.>1D.1W1C4 1W10 1W1Cv1D.<1W6 1R.3 1 v1C^4 2W1C^2W4 3D.>1D.v1D.>5 1D.>1D.v1D.^1D.<1D.^5 1D.v3D.>1D.^1 1~+>2 >1D.v3D.>1C^1D.>1 >1C2 ",
+    solution: "DDDDDDDDRRURUULDUULULRDDLLDRDULLLDDDRRUUULLLLLUURLDDDLLLDDDRDDD",
+    starScores: [740, 920],
   },
   {
     name: "level-20",
-    serialized: "11;10;2 2R.1 1W2 3R.2 1D.<1C1D.1W2 2D.>1D.2 1R.1 >1~+1W1 ^6 1W3 1 ^1W5 1W3 1 ^2W1~+1W2 4W5 2R.1 2R.>1W5 5R.^1W5 5C1W4 1R.2 1Pa.2 1W2 1C2R.",
+    serialized: "11;10;1C1 2R.1 1W2 3R.2 1D.<1C1D.1W2 2D.>1D.2 1R.1 >1~+1W1 ^6 1W3 1 ^1W5 1W3 1 ^2W1~+1W2 4W5 2R.1 2R.>1W5 5R.^1W5 5C1W4 1R.2 1Pa.2 1W3 2R.",
+    solution: "RRULLLLRUUUUUURULRRRD",
+    starScores: [1150, 1440],
   },
   {
     name: "level-21",
     serialized: "21;21;3C8D.2W6C2D.2C11D.1W6C1D.1C13D.1W6C15D.1W5C16D.1W4C10D.1Pa.5D.1W4C16D.1W4C15D.1W5C14D.1W6C13D.1W7C8D.5W8C7D.1W13C6D.1W14C5D.1W15C4D.1W16C4D.1W5C1Pa.10C4D.1W16C5D.1W15C6D.1W13C1D.1C6D.1W11C2D.2C6D.2W8C3D.",
+    solution: "UUUULLDLDLDLDDRURURURUDDDLDLDLRDRURURDDLDLRRDRUUUUUUUUURDDDDDDDDDRUUUUUUUUUURURURURUUUUUUULLLLRDRDRUDDRRUUUDRDDDLDDDDLDLDLDLDDDDDDDDDRUUUUUUUURURURURUUUURUUUDDDDDDDDLDLDLDLDDDDDDDRUUUUUURURURUDDDLDLDDDDURUURUDDUUUUUULLULLLLLLLLLLDDURLDDDDDDDDDDDDDDDDDDDR",
+    starScores: [15040, 18800],
   },
   {
     name: "level-22",
-    serialized: "21;21;1C7R.1C1~+1W1C6W3 1W6D.1R.2 1W3 1W4 1W8 6W3 3W12 1W3C3W1C1W1C1W10 2W2C2 1W1 3W10 1W1C1 2W5 1C10 2W2 5W1 1W2 1W7 3W3 1W5 1C1W7 1W1C1W1 1W1C1W1 2W3 1W6 1Pa.1W1Pa.4 1W1 1C2 21W9 1Pa.1W1Pa.1W1 1W4R.3 1W1~+2 1R.4 1W1 v2 1W4R.3 1W2 2W4 1W1 v2 1W1R.3D.1 v2 1W3 1W1 4W1 v1 1W1 >1D.1 ^2 1 v2 1W3 1W1D.1C2~+1W1 v1W1 3 ^2 1 v2 1W3 1C4~+1W1 v1W1 1W4 1 >1 ^1 2W2 1W1C3C<1W1 v1W1R.1 <4 1 v2 1D.1C2 1W4C1W1 v1W1D.1W4 1 v2 1D.1C2 1W4C1W1 v1W1 1 <6 1C1W3 1W4~+1W1 1 >1 ^1 <1W4~+1C",
+    serialized: "21;21;1C7R.1C1~+1W1C6W3 1W6D.1R.2 1W3 1W4 1W8 6W3 3W12 1W3C3W1C1W1C1W10 2W2C2 1W1 3W10 1W1C1 2W5 1C10 2W2 5W1 1W2 1W7 3W3 1W5 1C1W7 1W1C1W1 1W1C1W1 2W3 1W6 1Pa.1W1Pa.4 1W1 1C2 21W9 1Pa.1W1Pa.1W1 1W4R.3 1W1~+2 1R.4 1W1 v2 1W4R.3 1W2 2W4 1W1 v2 1W1R.3D.1 v2 1W3 1W1 4W1 v1 1W1 >1D.1 ^2 1 v2 1W3 1W1D.1C3W1 v1W1 3 ^2 1 v2 1W3 1C5W1 v1W1 1W4 1 >1 ^1 2W2 1W1C3C<1W1 v1W1R.1 <4 1 v2 1D.1C3 4C1W1 v1W1D.1W4 1 v2 1D.1C2 1W4C1W1 v1W1 1 <6 1C1W3 1W4~+1W1 1 >1 ^1 <1W4~+1C",
+    solution: "DDLLLUULLDLDDDRDRLDDRRDRRRLLLUURDRDRRUUDLLUUUULUUURRRRRDDLLDDRLUUULLLDDDRDDDRRRRUDLLUUUULUUULLLDDDDDDDDDURURDDUULLLLLLLDDUUUUUUURLULRDRRRRRURRLLUDRRDDDLDLRURRRDRRRRRLDDLLDDRLUURRUULLUUDDLLULLUURRURRRURRDDLD",
+    starScores: [1380, 1730],
   },
   {
     name: "level-23",
     serialized: "20;30;1Pa.1C<1W11 1~+5 1C^1 1W17 3W49 1R.19 1W3 1W10 5R.1 1W1 1W11 5D.>2 1D.5 4W1 >1W1 1 ^4W8 1C2 <1 1R.<1W1 <3 4 >1 v5 1D.v1W1 1D.>1C^1W1~+>7 1 v5 1D.v1W1 ^1 <1C1C>1 >1R.v5 <1 1 v5 1D.v3W1D.^1D.1W1D.>2 >2 1D.1 1 v5 1D.v2W4 2W1 4W1 v1W4 1D.v1W1 <7 1R.>1 v1 3W1 3W1D.v1W1 <5 1W1C^2C<1W1 1 <1R.1 1R.2 1D.v1W1 <1 1 v1 1 v1 2W1 2W2 1R.1 1R.2 1D.>1 1 >1 1W1 1W3 3W2 1D.<1C<2R.1 1W1 <1 1 >3W1 <3 8W1D.1W1 <2 3 ^4 2W4 1D.^1W6 1 v5 2W1 1W1C^1 2W6 1W1 v4 2W2 1W2 1W1 v5 1 ^1W4 1W1Cv1W1 1C<1W1 1W7 1 ^4 1W3 1W1D.^1 ^1W12 1W1 4W1 ^1W8 1 <1W1 1 <1W4 1W1 1W5 1W2 v2W1 1 v3W1 v1 1W1 1W5 3W1 <1W2 1W1 1R.>1R.1C1W1 1W5 1W1 v2 <1W1 <1 1 ^1 2D.<1 1W1 1W1 1Pa.1 2W1 >3 2 <1 ^2 1 <2 1W3 ",
+    solution: "DRUUUUUUUUURUUUUUUURUUDLDRUUURRRRRRDRUURRRUULLLLULLUULUURLDDRDDRRRDDDDRDDDDDURRRLURRRDDDDDDDDDDDDDLLUUUUUULULLLDDRDRDLLUDDRRRDDDLDLLULUUUUUUUUUULLUUULULUU",
+    starScores: [360, 450],
   },
   {
     name: "level-24",
     serialized: "13;12;1~+1W1~+1W1~+1W1~+1W1~+1W1~+2 1D.1W1D.1W1D.1W1D.1W1D.3W2 1W1 1W1 1W1 1W1 1W1 1W2 1C>1 1W1 1W1 1W1 1W1 1W2 1W1 1C>1 1W1 1W1 1W1 1W2 1W1 1W1 1C>1 1W1 1W1 1W2 1W1 1W1 1W1 1C>1 1W1 1W2 1W1 1W1 1W1 1W1 1C>1 1W2 1W1 1W1 1W1 1W1 1W1 1C>2 1W1 1W1 1W1 1W1 1W1 1W1C1R.1W1R.1W1R.1W1R.1W1R.1W1R.1W1 1Pa.1 1Pa.1 1Pa.1 1Pa.1 1Pa.1 2Pa.1 ",
+    solution: "UUURURURURURUR",
+    starScores: [710, 880],
   },
   {
     name: "level-25",
     serialized: "21;22;3 1C6 1~+32 1Pa.6 1R.20 2W1 1W18 1C21 1D.1C40 1D.11 1C7 1W1D.1W19 1W10 10W1~+>9 1~+11 3W1D.1W2C3W38 1D.1W18 1W1D.1W5 1C12 1D.<1W15 4W34 1W3 1W9 1C6 2W1 2W5 1C11 1W1D.1W30 ",
+    solution: "UURRLLDDDDDDDDUUUUUURRRRRRRRLLDDRRDRRDDRDDLDRRRRRDRLDLLLLLDDDDDRRDDRRRRRUUULLULLLLDDRRDDDLDLLLLULULLLLLLUUUURR",
+    starScores: [490, 620],
   },
 ];
@@ -0,0 +1,171 @@
+/**
+ * @typedef {import("./patterns.js").Pattern} Pattern
+ * @typedef {import("./patterns.js").PatternRule} PatternRule
+ * @typedef {import("./tile.js").Tile} Tile
+ *
+ * A cell's matches are the tiles it matches in some region (any) and in every
+ * region (all), or null if the cell matches anything
+ *
+ * @typedef {{ any: boolean[], all: boolean[] } | null} CellMatches
+ *
+ * @typedef PatternAnalysis
+ * @property {number[]} unsatisfiable Rules that no region can match
+ * @property {{ index: number, shadowedBy: number }[]} shadowed Rules that
+ * never match because an earlier rule always matches first
+ * @property {[number, number][]} overlapping Pairs of rules that can both
+ * match the same region, where the earlier rule wins
+ * @property {string[]} duplicateDescriptions Descriptions used by more than
+ * one rule
+ */
+
+import { createCellMatcher, getTileUniverse } from "./tileUniverse.js";
+
+/**
+ * Finds the tiles a cell of a pattern matches
+ *
+ * @param {Pattern} pattern
+ * @param {number} rowIndex
+ * @param {number} columnIndex
+ * @param {Tile[]} universe
+ * @returns {CellMatches}
+ */
+function getCellMatches(pattern, rowIndex, columnIndex, universe) {
+  if (!pattern) {
+    return null;
+  }
+
+  const matcher = createCellMatcher(pattern, rowIndex, columnIndex, universe);
+  const matches = universe.map(matcher);
+
+  return {
+    any: matches.map(({ any }) => any),
+    all: matches.map(({ all }) => all),
+  };
+}
+
+/**
+ * Finds the tiles each cell of a pattern region matches
+ *
+ * @param {PatternRule} rule
+ * @param {Tile[]} universe
+ * @returns {CellMatches[]}
+ */
+function getRuleMatches([, patternRegion], universe) {
+  return patternRegion.flatMap((row, rowIndex) => row.map(
+    (pattern, columnIndex) =>
+      getCellMatches(pattern, rowIndex, columnIndex, universe)
+  ));
+}
+
+/**
+ * Whether every tile matched by one cell in some region is always matched by
+ * another
+ *
+ * @param {CellMatches} later
+ * @param {CellMatches} earlier
+ */
+function isCovered(later, earlier) {
+  if (!earlier) {
+    return true;
+  }
+
+  const matches = later?.any;
+  return earlier.all.every((matchesAll, index) =>
+    matchesAll || (matches !== undefined && !matches[index])
+  );
+}
+
+/**
+ * Whether two cells can match the same tile
+ *
+ * @param {CellMatches} cell1
+ * @param {CellMatches} cell2
+ */
+function canOverlap(cell1, cell2) {
+  if (!cell1 || !cell2) {
+    return true;
+  }
+
+  return cell1.any.some((matches, index) => matches && cell2.any[index]);
+}
+
+/**
+ * Analyzes the order dependence of rules
+ *
+ * Rules are compared one pair at a time so a rule that is only shadowed by a
+ * combination of earlier rules is reported as overlapping them instead.
+ *
+ * @param {PatternRule[]} rules
+ * @returns {PatternAnalysis}
+ */
+export function analyzePatterns(rules) {
+  const universe = getTileUniverse();
+  const ruleMatches = rules.map(rule => getRuleMatches(rule, universe));
+
+  /** @type {PatternAnalysis} */
+  const analysis = {
+    unsatisfiable: [],
+    shadowed: [],
+    overlapping: [],
+    duplicateDescriptions: [],
+  };
+
+  ruleMatches.forEach((cells, index) => {
+    if (cells.some(cell => cell && !cell.any.includes(true))) {
+      analysis.unsatisfiable.push(index);
+      return;
+    }
+
+    for (let earlierIndex = 0; earlierIndex < index; ++earlierIndex) {
+      if (analysis.unsatisfiable.includes(earlierIndex)) {
+        continue;
+      }
+
+      const earlierCells = ruleMatches[earlierIndex];
+      if (cells.every((cell, cellIndex) =>
+        isCovered(cell, earlierCells[cellIndex])
+      )) {
+        analysis.shadowed.push({ index, shadowedBy: earlierIndex });
+        return;
+      }
+    }
+
+    for (let earlierIndex = 0; earlierIndex < index; ++earlierIndex) {
+      const earlierCells = ruleMatches[earlierIndex];
+      if (
+        !analysis.unsatisfiable.includes(earlierIndex) &&
+        cells.every((cell, cellIndex) =>
+          canOverlap(cell, earlierCells[cellIndex])
+        )
+      ) {
+        analysis.overlapping.push([earlierIndex, index]);
+      }
+    }
+  });
+
+  const descriptions = rules.map(([description]) => description);
+  analysis.duplicateDescriptions = [...new Set(
+    descriptions.filter(
+      (description, index) => descriptions.indexOf(description) !== index
+    )
+  )];
+
+  return analysis;
+}
+
+/**
+ * Finds the rules whose descriptions were never matched. Rules that share a
+ * description are matched together.
+ *
+ * @param {PatternRule[]} rules
+ * @param {Iterable<string>} matchedDescriptions
+ * @returns {number[]}
+ */
+export function findUnmatchedPatterns(rules, matchedDescriptions) {
+  const matched = new Set(matchedDescriptions);
+
+  return rules.
+    map(([description], index) => ({ description, index })).
+    filter(({ description }) => !matched.has(description)).
+    map(({ index }) => index);
+}
@@ -0,0 +1,329 @@
+/**
+ * @typedef {import("./patterns.js").PatternCallback} PatternCallback
+ * @typedef {import("./patterns.js").PatternRegion} PatternRegion
+ * @typedef {import("./patterns.js").PatternRule} PatternRule
+ * @typedef {import("./patterns.js").TileUpdateCallback} TileUpdateCallback
+ * @typedef {import("./patterns.js").TileUpdateRegion} TileUpdateRegion
+ *
+ * @typedef Vocabulary
+ * @property {{ [name: string]: (...args: string[]) => PatternCallback }} predicates
+ * @property {{ [name: string]: (...args: string[]) => TileUpdateCallback }} updates
+ */
+
+/**
+ * The number of cells in each row of a pattern region
+ */
+const PATTERN_ROW_LENGTHS = [1, 3, 5, 3];
+
+/**
+ * The number of cells in each row of a tile update region
+ */
+const UPDATE_ROW_LENGTHS = [1, 3, 3];
+
+/**
+ * Splits a grid row into its cells. Cells are separated by whitespace except
+ * within parentheses.
+ *
+ * @param {string} row
+ * @returns {string[]}
+ */
+function splitCells(row) {
+  /** @type {string[]} */
+  const cells = [];
+
+  let depth = 0;
+  let cell = "";
+  for (const char of row) {
+    if (char === "(") {
+      ++depth;
+    } else if (char === ")" && depth > 0) {
+      --depth;
+    }
+
+    if (depth === 0 && /\s/.test(char)) {
+      if (cell) {
+        cells.push(cell);
+        cell = "";
+      }
+    } else if (!/\s/.test(char)) {
+      cell += char;
+    }
+  }
+
+  if (cell) {
+    cells.push(cell);
+  }
+
+  return cells;
+}
+
+/**
+ * Reads a name and its optional argument list from a cell
+ *
+ * @param {string} cell
+ * @param {number} index The index in the cell to read from
+ * @returns {{ name: string, args: string[], nextIndex: number }}
+ */
+function readCall(cell, index) {
+  const match = /^([A-Za-z]+)(?:\(([A-Za-z0-9,]*)\))?/.exec(
+    cell.substring(index)
+  );
+  if (!match) {
+    throw new Error(`Unexpected ${cell[index]} at ${index} of ${cell}`);
+  }
+
+  return {
+    name: match[1],
+    args: match[2] ? match[2].split(",") : [],
+    nextIndex: index + match[0].length,
+  };
+}
+
+/**
+ * Creates a predicate or update from a call in a cell
+ *
+ * @template T
+ * @param {string} kind
+ * @param {{ [name: string]: (...args: string[]) => T }} entries
+ * @param {{ name: string, args: string[] }} call
+ * @returns {T}
+ */
+function createFromVocabulary(kind, entries, { name, args }) {
+  const entry = entries[name];
+  if (!entry) {
+    throw new Error(`Unknown ${kind} ${name}`);
+  }
+
+  if (args.length > entry.length) {
+    throw new Error(`Too many arguments to ${name}`);
+  }
+
+  return entry(...args);
+}
+
+/**
+ * Compiles a predicate expression. Predicates are combined with ! (not), &
+ * (and), | (or) and parentheses, with the usual precedence.
+ *
+ * @param {string} cell
+ * @param {Vocabulary["predicates"]} predicates
+ * @returns {PatternCallback}
+ */
+function compilePredicate(cell, predicates) {
+  let index = 0;
+
+  /**
+   * @returns {PatternCallback}
+   */
+  function parseOr() {
+    let pattern = parseAnd();
+    while (cell[index] === "|") {
+      ++index;
+      const left = pattern;
+      const right = parseAnd();
+      pattern = (tile, region) => left(tile, region) || right(tile, region);
+    }
+
+    return pattern;
+  }
+
+  /**
+   * @returns {PatternCallback}
+   */
+  function parseAnd() {
+    let pattern = parseNot();
+    while (cell[index] === "&") {
+      ++index;
+      const left = pattern;
+      const right = parseNot();
+      pattern = (tile, region) => left(tile, region) && right(tile, region);
+    }
+
+    return pattern;
+  }
+
+  /**
+   * @returns {PatternCallback}
+   */
+  function parseNot() {
+    if (cell[index] === "!") {
+      ++index;
+      const negated = parseNot();
+      return (tile, region) => !negated(tile, region);
+    }
+
+    if (cell[index] === "(") {
+      ++index;
+      const pattern = parseOr();
+      if (cell[index] !== ")") {
+        throw new Error(`Expected ) at ${index} of ${cell}`);
+      }
+
+      ++index;
+      return pattern;
+    }
+
+    const call = readCall(cell, index);
+    index = call.nextIndex;
+
+    return createFromVocabulary("predicate", predicates, call);
+  }
+
+  const pattern = parseOr();
+  if (index !== cell.length) {
+    throw new Error(`Unexpected ${cell[index]} at ${index} of ${cell}`);
+  }
+
+  return pattern;
+}
+
+/**
+ * Compiles a tile update
+ *
+ * @param {string} cell
+ * @param {Vocabulary["updates"]} updates
+ * @returns {TileUpdateCallback}
+ */
+function compileUpdate(cell, updates) {
+  const call = readCall(cell, 0);
+  if (call.nextIndex !== cell.length) {
+    throw new Error(
+      `Unexpected ${cell[call.nextIndex]} at ${call.nextIndex} of ${cell}`
+    );
+  }
+
+  return createFromVocabulary("update", updates, call);
+}
+
+/**
+ * Reads the cells of a grid from consecutive lines
+ *
+ * @param {{ text: string, lineNumber: number }[]} lines
+ * @param {number} start The index of the first line of the grid
+ * @param {number[]} rowLengths The expected number of cells in each row
+ * @returns {string[][]}
+ */
+function readGrid(lines, start, rowLengths) {
+  return rowLengths.map((rowLength, rowIndex) => {
+    const line = lines[start + rowIndex];
+    if (!line) {
+      throw new Error(`Expected ${rowLengths.length} rows in grid`);
+    }
+
+    const cells = splitCells(line.text);
+    if (cells.length !== rowLength) {
+      throw new Error(
+        `Line ${line.lineNumber}: Expected ${rowLength} cells but got ${cells.length}`
+      );
+    }
+
+    return cells;
+  });
+}
+
+/**
+ * Compiles a cell, adding the line number to any errors
+ *
+ * @template T
+ * @param {string} cell
+ * @param {number} lineNumber
+ * @param {(cell: string) => T} compile
+ * @returns {T | null}
+ */
+function compileCell(cell, lineNumber, compile) {
+  if (cell === ".") {
+    return null;
+  }
+
+  try {
+    return compile(cell);
+  } catch (e) {
+    throw new Error(
+      `Line ${lineNumber}: ${e instanceof Error ? e.message : e}`
+    );
+  }
+}
+
+/**
+ * Parses rules written in the pattern language into patterns
+ *
+ * Each rule starts with a line of the form "rule <description>" followed by
+ * the four rows of its pattern region, a line containing "=>" and the three
+ * rows of its tile update region. Cells are separated by whitespace and "."
+ * is a cell that matches anything or that is not updated. Blank lines and
+ * lines starting with "#" are ignored.
+ *
+ * @example
+ * rule Rocks fall down
+ *           .
+ *     .  Tile(Rock)    .
+ *  .  .  EmptyForRock  .  .
+ *     .     .          .
+ * =>
+ *           .
+ *     .   empty        .
+ *  .  .   rock(Down)
+ *
+ * @param {string} text
+ * @param {Vocabulary} vocabulary
+ * @returns {PatternRule[]}
+ */
+export function parsePatterns(text, vocabulary) {
+  const lines = text.split("\n").
+    map((line, index) => ({ text: line.trim(), lineNumber: index + 1 })).
+    filter(line => line.text && !line.text.startsWith("#"));
+
+  /** @type {PatternRule[]} */
+  const rules = [];
+
+  let index = 0;
+  while (index < lines.length) {
+    const header = lines[index];
+    const description = /^rule\s+(.+)$/.exec(header.text)?.[1];
+    if (!description) {
+      throw new Error(`Line ${header.lineNumber}: Expected rule`);
+    }
+
+    const patternCells = readGrid(lines, index + 1, PATTERN_ROW_LENGTHS);
+
+    const separator = lines[index + 5];
+    if (separator?.text !== "=>") {
+      throw new Error(
+        `Line ${separator?.lineNumber ?? header.lineNumber}: Expected =>`
+      );
+    }
+
+    const updateCells = readGrid(lines, index + 6, UPDATE_ROW_LENGTHS);
+
+    const patternRegion = /** @type {PatternRegion} */ (
+      patternCells.map((row, rowIndex) => row.map(
+        cell => compileCell(
+          cell,
+          lines[index + 1 + rowIndex].lineNumber,
+          cell => compilePredicate(cell, vocabulary.predicates)
+        )
+      ))
+    );
+
+    const updateRegion = /** @type {TileUpdateRegion} */ (
+      updateCells.map((row, rowIndex) => row.map(
+        cell => compileCell(
+          cell,
+          lines[index + 6 + rowIndex].lineNumber,
+          cell => compileUpdate(cell, vocabulary.updates)
+        )
+      ))
+    );
+
+    if (!updateRegion[2][2]) {
+      throw new Error(
+        `Line ${lines[index + 8].lineNumber}: The center tile must be updated`
+      );
+    }
+
+    rules.push([description, patternRegion, updateRegion]);
+    index += 9;
+  }
+
+  return rules;
+}
@@ -1,14 +1,25 @@
 /**
  * @typedef {import("./board.js").Board} Board
  * @typedef {import("./board.js").Point} Point
+ * @typedef {import("./tile.js").BombTile} BombTile
  * @typedef {import("./tile.js").ConveyorDirection} ConveyorDirection
+ * @typedef {import("./tile.js").CrackedWallTile} CrackedWallTile
  * @typedef {import("./tile.js").DeadPlayerTile} DeadPlayerTile
  * @typedef {import("./tile.js").DirtTile} DirtTile
  * @typedef {import("./tile.js").DoorTile} DoorTile
+ * @typedef {import("./tile.js").EnemyTile} EnemyTile
+ * @typedef {import("./tile.js").ExitTile} ExitTile
+ * @typedef {import("./tile.js").ExplosionTile} ExplosionTile
+ * @typedef {import("./tile.js").FallingCollectableTile} FallingCollectableTile
  * @typedef {import("./tile.js").FlowDirection} FlowDirection
+ * @typedef {import("./tile.js").GateTile} GateTile
  * @typedef {import("./tile.js").GenericTile} GenericTile
+ * @typedef {import("./tile.js").InputDirection} InputDirection
  * @typedef {import("./tile.js").KeyColor} KeyColor
+ * @typedef {import("./tile.js").KeyInventory} KeyInventory
+ * @typedef {import("./tile.js").LavaTile} LavaTile
  * @typedef {import("./tile.js").LivingPlayerTile} LivingPlayerTile
+ * @typedef {import("./tile.js").MagicWallTile} MagicWallTile
  * @typedef {import("./tile.js").RockTile} RockTile
  * @typedef {import("./tile.js").Tile} Tile
  * @typedef {import("./tile.js").WaterTile} WaterTile
@@ -17,8 +28,14 @@
  * @param {Tile} tile The tile to match
  * @param {TileRegion} region The region that matched for this update
  * @returns {boolean} Whether the pattern matches
+ *
+ * @typedef {import("./patternParser.js").Vocabulary} Vocabulary
  */
 
+import { createCellMatcher, getTileUniverse } from "./tileUniverse.js";
+import { parsePatterns } from "./patternParser.js";
+import { getFloorDevices, hasFloor } from "./tile.js";
+
 /**
  * Negates a pattern
  *
@@ -29,17 +46,6 @@ function not(pattern) {
   return (tile, region) => !pattern(tile, region);
 }
 
-/**
- * Ors two patterns
- *
- * @param {PatternCallback} pattern1
- * @param {PatternCallback} pattern2
- * @returns {PatternCallback}
- */
-function or(pattern1, pattern2) {
-  return (tile, region) => pattern1(tile, region) || pattern2(tile, region);
-}
-
 /**
  * Ands two patterns
  *
@@ -114,6 +120,7 @@ function wasJustUpdated(tile) {
 function isEmptyForPlayer(tile) {
   return (
     (tile.type === "Collectable") ||
+    (tile.type === "FallingCollectable") ||
     (tile.type === "Empty") ||
     (tile.type === "Dirt" && tile.flowDirection === "None")
   );
@@ -138,16 +145,32 @@ function isConveyoredPlayer(conveyorDirection) {
  * @param {Tile} tile
  */
 function isEmptyForRock(tile) {
-  return tile.type === "Empty" || tile.type === "Water";
+  return tile.type === "Empty" || tile.type === "Water" || tile.type === "Lava";
 }
 
 /**
- * Whether a rock is falling
+ * Whether a rock or falling collectable is falling
  *
  * @param {Tile} tile
  */
 function isFallingRock(tile) {
-  return tile.type === "Rock" && tile.fallingDirection !== "None";
+  return (tile.type === "Rock" || tile.type === "FallingCollectable") && (
+    (tile.fallingDirection === "Down") ||
+    (tile.fallingDirection === "DownLeft") ||
+    (tile.fallingDirection === "DownRight")
+  );
+}
+
+/**
+ * Whether a tile is a rock sliding on ice in a specific direction
+ *
+ * @param {"Left" | "Right"} slidingDirection
+ * @returns {PatternCallback}
+ */
+function isSlidingRock(slidingDirection) {
+  return (tile) =>
+    (tile.type === "Rock") &&
+    (tile.fallingDirection === slidingDirection);
 }
 
 /**
@@ -223,6 +246,53 @@ function isSolidForWater(tile) {
   return !(["Dirt", "Empty", "Water"].includes(tile.type));
 }
 
+/**
+ * Whether a tile is lava that supports a particular flow direction
+ *
+ * @param {FlowDirection} flowDirection
+ * @returns {PatternCallback}
+ */
+function supportsLavaFlowDirection(flowDirection) {
+  return (tile) =>
+    (tile.type === "Lava") && (
+      (tile.flowDirection === "All") ||
+      (tile.flowDirection === flowDirection) ||
+      (tile.flowDirection === "Both")
+    );
+}
+
+/**
+ * Whether a tile is non-source flowing lava with a specific direction
+ *
+ * @param {FlowDirection} flowDirection
+ * @returns {PatternCallback}
+ */
+function isFlowingLava(flowDirection) {
+  return (tile) =>
+    (tile.type === "Lava") &&
+    (tile.flowDirection === flowDirection);
+}
+
+/**
+ * Whether a tile behaves as if it were solid for lava, which burns dirt away
+ *
+ * @param {Tile} tile
+ */
+function isSolidForLava(tile) {
+  return !(["Dirt", "Empty", "Lava"].includes(tile.type));
+}
+
+/**
+ * Whether any tile next to the center of a region is lava
+ *
+ * @type {PatternCallback}
+ */
+function isNearLava(_, region) {
+  return [region[1][1], region[2][1], region[2][3], region[3][1]].some(
+    tile => tile.type === "Lava"
+  );
+}
+
 /**
  * Whether a player is alive
  *
@@ -233,7 +303,8 @@ function isLivingPlayer(tile) {
 }
 
 /**
- * Whether a tile is a player moving in a specific direction
+ * Whether a tile is a player moving in a specific direction. Players sliding
+ * on ice keep their input so they wait until the next update to move again.
  *
  * @param {LivingPlayerTile["inputDirection"]} inputDirection
  * @returns {PatternCallback}
@@ -242,7 +313,77 @@ function isMovingPlayer(inputDirection) {
   return (tile) =>
     (tile.type === "Player") &&
     tile.isAlive &&
-    (tile.inputDirection === inputDirection);
+    (tile.inputDirection === inputDirection) &&
+    !tile.justUpdated;
+}
+
+/**
+ * Whether a bomb has not been set off
+ *
+ * @param {Tile} tile
+ */
+function isUnlitBomb(tile) {
+  return tile.type === "Bomb" && !tile.isLit;
+}
+
+/**
+ * Whether a bomb has been set off
+ *
+ * @param {Tile} tile
+ */
+function isLitBomb(tile) {
+  return tile.type === "Bomb" && tile.isLit;
+}
+
+/**
+ * Whether a tile is a bomb exploding in this update. A bomb lit in this update
+ * waits for the next one so every tile around it explodes at the same time.
+ *
+ * @param {Tile} tile
+ */
+function isExplodingBomb(tile) {
+  return (
+    (tile.type === "Bomb" && tile.isLit && !tile.justUpdated) ||
+    (tile.type === "Explosion" && tile.ticksRemaining === 3)
+  );
+}
+
+/**
+ * Whether any tile next to the center of a region is an exploding bomb
+ *
+ * @type {PatternCallback}
+ */
+function isNearExplosion(_, region) {
+  return region[1].some(isExplodingBomb) ||
+    isExplodingBomb(region[2][1]) ||
+    isExplodingBomb(region[2][3]) ||
+    region[3].some(isExplodingBomb);
+}
+
+/**
+ * Whether any tile next to the center of a region is an enemy
+ *
+ * @type {PatternCallback}
+ */
+function isNearEnemy(_, region) {
+  return [region[1][1], region[2][1], region[2][3], region[3][1]].some(
+    tile => tile.type === "Enemy"
+  );
+}
+
+/**
+ * Whether a tile is an enemy that can move
+ *
+ * @param {EnemyTile["hand"]} hand
+ * @param {EnemyTile["facingDirection"]} facingDirection
+ * @returns {PatternCallback}
+ */
+function isEnemy(hand, facingDirection) {
+  return tile =>
+    tile.type === "Enemy" &&
+    tile.hand === hand &&
+    tile.facingDirection === facingDirection &&
+    !tile.justUpdated;
 }
 
 /**
@@ -266,16 +407,46 @@ function isOpenableDoor(playerLocation) {
 
     return playerTile.type === "Player" &&
       playerTile.isAlive &&
-      tile.color === playerTile.keyColor;
+      (playerTile.keys[tile.color] ?? 0) > 0;
   }
 }
 
 /**
+ * Whether a tile is a gate players can pass through in a specific direction
+ *
+ * @param {GateTile["direction"]} direction
+ * @returns {PatternCallback}
+ */
+function isGate(direction) {
+  return tile => tile.type === "Gate" && tile.direction === direction;
+}
+
+/**
+ * Whether a tile is an exit that players can enter
+ *
+ * @type {PatternCallback}
+ */
+function isOpenExit(tile) {
+  return tile.type === "Exit" && tile.status === "Open";
+}
+
+/**
+ * Whether a tile is a magic wall that has not expired
+ *
+ * @type {PatternCallback}
+ */
+function isMagicWall(tile) {
+  return tile.type === "MagicWall" && tile.status !== "Expired";
+}
+
+/**
+ * A point in a region as the index in its row and the index of its row
+ *
  * @typedef {(
- *           [2, 0] |
- *       [1 | 2 | 3, 1] |
+ *             [0, 0] |
+ *       [0 | 1 | 2, 1] |
  *   [0 | 1 | 2 | 3 | 4, 2] |
- *       [1 | 2 | 3, 3]
+ *       [0 | 1 | 2, 3]
  * )} RegionPoint
  * @typedef {[
  *               [Tile],
@@ -295,11 +466,20 @@ function isOpenableDoor(playerLocation) {
 
 /**
  * @typedef {(
+ *   _SimpleTile<BombTile> |
+ *   Omit<CrackedWallTile, "justUpdated" | "conveyorDirection"> |
  *   _SimpleTile<DeadPlayerTile> |
  *   _SimpleTile<DirtTile> |
  *   Omit<DoorTile, "justUpdated" | "conveyorDirection"> |
+ *   _SimpleTile<EnemyTile> |
+ *   _SimpleTile<ExitTile> |
+ *   _SimpleTile<ExplosionTile> |
+ *   _SimpleTile<FallingCollectableTile> |
+ *   Omit<GateTile, "justUpdated" | "conveyorDirection"> |
  *   _SimpleTile<GenericTile> |
+ *   _SimpleTile<LavaTile> |
  *   Omit<LivingPlayerTile, "justUpdated" | "conveyorDirection"> |
+ *   Omit<MagicWallTile, "justUpdated" | "conveyorDirection"> |
  *   _SimpleTile<RockTile> |
  *   _SimpleTile<WaterTile>
  * )} SimpleTile
@@ -322,15 +502,40 @@ function empty() {
 }
 
 /**
- * A dead player after an update
+ * An exit after a player enters it
+ *
+ * @type {TileUpdateCallback}
+ */
+function enteredExit() {
+  return { type: "Exit", status: "Entered" };
+}
+
+/**
+ * A dead player after an update, which loses the keys it held
  *
  * @type {TileUpdateCallback}
  */
-function deadPlayer(tile) {
-  const keyColor = (tile.type === "Player" && tile.isAlive) ?
-    tile.excessKey :
-    undefined;
-  return { type: "Player", isAlive: false, keyColor };
+function deadPlayer() {
+  return { type: "Player", isAlive: false };
+}
+
+/**
+ * Adds keys of a color to an inventory, removing colors with none left
+ *
+ * @param {KeyInventory} keys
+ * @param {KeyColor} keyColor
+ * @param {number} count The number of keys to add, negative to remove them
+ * @returns {KeyInventory}
+ */
+function addKeys(keys, keyColor, count) {
+  if (keyColor === "None") {
+    return keys;
+  }
+
+  const { [keyColor]: current = 0, ...others } = keys;
+  return current + count > 0 ?
+    { ...others, [keyColor]: current + count } :
+    others;
 }
 
 /**
@@ -355,32 +560,19 @@ function playerMovedTo(originalLocation) {
     }
 
     if (playerTile.isAlive) {
-      /** @type {KeyColor} */
-      let excessKey;
-
-      /** @type {KeyColor} */
-      let keyColor;
-
-      if (playerTile.keyColor === "None") {
-        keyColor = tile.keyColor;
-        excessKey = "None";
-      } else if (tile.keyColor !== "None") {
-        keyColor = playerTile.keyColor;
-        excessKey = tile.keyColor;
-      } else if (tile.type === "Door") {
-        keyColor = "None";
-        excessKey = "None";
-      } else {
-        keyColor = playerTile.keyColor;
-        excessKey = "None";
-      }
+      // Players pick up the key they move onto and use up a key opening a door
+      const keys = tile.type === "Door" ?
+        addKeys(playerTile.keys, tile.color, -1) :
+        addKeys(playerTile.keys, tile.keyColor, 1);
 
       return {
         type: "Player",
         isAlive: playerTile.isAlive,
-        inputDirection: "None",
-        keyColor,
-        excessKey,
+        inputDirection: tile.conveyorDirection === "Ice" ?
+          playerTile.inputDirection :
+          "None",
+        keyColor: "None",
+        keys,
       };
     }
 
@@ -398,10 +590,6 @@ function playerMovedFrom(tile) {
     throw new Error(`Expected player tile but got ${tile.type}`);
   }
 
-  if (tile.isAlive) {
-    return { type: "Empty", keyColor: tile.excessKey }
-  }
-
   return { type: "Empty" };
 }
 
@@ -448,6 +636,157 @@ function rock(fallingDirection) {
   };
 }
 
+/**
+ * A rock or falling collectable after an update, which stays whichever it was
+ *
+ * @param {FallingCollectableTile["fallingDirection"]} fallingDirection
+ * @param {RegionPoint} [originalLocation] Where the tile fell from, if it
+ * moved
+ * @returns {TileUpdateCallback}
+ */
+function fallen(fallingDirection, originalLocation) {
+  return (tile, region) => {
+    const fallingTile = originalLocation ?
+      region[originalLocation[1]][originalLocation[0]] :
+      tile;
+
+    if (
+      fallingTile?.type !== "Rock" &&
+      fallingTile?.type !== "FallingCollectable"
+    ) {
+      throw new Error(
+        `Expected rock or falling collectable tile but got ${fallingTile?.type}`
+      );
+    }
+
+    return { type: fallingTile.type, fallingDirection };
+  };
+}
+
+/**
+ * An enemy after an update
+ *
+ * @param {EnemyTile["hand"]} hand
+ * @param {EnemyTile["facingDirection"]} facingDirection
+ * @returns {TileUpdateCallback}
+ */
+function enemy(hand, facingDirection) {
+  return () => {
+    return { type: "Enemy", hand, facingDirection };
+  };
+}
+
+/**
+ * A collectable after an update
+ *
+ * @type {TileUpdateCallback}
+ */
+function collectable() {
+  return { type: "Collectable" };
+}
+
+/**
+ * A cracked wall after a falling rock hits it, which breaks on its last hit
+ *
+ * @type {TileUpdateCallback}
+ */
+function hitCrackedWall(tile) {
+  if (tile.type !== "CrackedWall") {
+    throw new Error(`Expected cracked wall tile but got ${tile.type}`);
+  }
+
+  if (tile.hitsRemaining === 1) {
+    return { type: "Empty" };
+  }
+
+  return { type: "CrackedWall", hitsRemaining: 1, keyColor: "None" };
+}
+
+/**
+ * A magic wall after a rock falls through it
+ *
+ * @type {TileUpdateCallback}
+ */
+function activeMagicWall(tile) {
+  if (tile.type !== "MagicWall") {
+    throw new Error(`Expected magic wall tile but got ${tile.type}`);
+  }
+
+  return {
+    type: "MagicWall",
+    status: "Active",
+    ticksRemaining: tile.ticksRemaining,
+    keyColor: "None",
+  };
+}
+
+/**
+ * A bomb after being pushed
+ *
+ * @type {TileUpdateCallback}
+ */
+function bomb() {
+  return { type: "Bomb", isLit: false };
+}
+
+/**
+ * A bomb that has been set off
+ *
+ * @type {TileUpdateCallback}
+ */
+function litBomb() {
+  return { type: "Bomb", isLit: true };
+}
+
+/**
+ * An explosion after an update
+ *
+ * @param {ExplosionTile["ticksRemaining"]} ticksRemaining
+ * @returns {TileUpdateCallback}
+ */
+function explosion(ticksRemaining) {
+  return () => {
+    return { type: "Explosion", ticksRemaining };
+  };
+}
+
+/**
+ * An explosion with one less tick remaining, which clears once it runs out
+ *
+ * @type {TileUpdateCallback}
+ */
+function fadedExplosion(tile) {
+  if (tile.type !== "Explosion") {
+    throw new Error(`Expected explosion tile but got ${tile.type}`);
+  }
+
+  switch (tile.ticksRemaining) {
+    case 3:
+      return { type: "Explosion", ticksRemaining: 2 };
+
+    case 2:
+      return { type: "Explosion", ticksRemaining: 1 };
+
+    case 1:
+      return { type: "Empty" };
+  }
+}
+
+/**
+ * A rock after being pushed, which slides if it was pushed onto ice
+ *
+ * @param {"Left" | "Right"} direction
+ * @returns {TileUpdateCallback}
+ */
+function pushedRock(direction) {
+  return (tile) => {
+    return {
+      type: "Rock",
+      fallingDirection: tile.conveyorDirection === "Ice" ? direction : "None",
+    };
+  };
+}
+
 /**
  * Water after an update
  *
@@ -460,6 +799,18 @@ function water(flowDirection) {
   };
 }
 
+/**
+ * Lava after an update
+ *
+ * @param {LavaTile["flowDirection"]} flowDirection
+ * @returns {TileUpdateCallback}
+ */
+function lava(flowDirection) {
+  return () => {
+    return { type: "Lava", flowDirection };
+  };
+}
+
 /**
  * @typedef {PatternCallback | null} Pattern
  *
@@ -480,974 +831,1747 @@ function water(flowDirection) {
  *               [TileUpdate, TileUpdate, TileUpdate],
  *   [TileUpdate, TileUpdate, TileUpdateCallback],
  * ]} TileUpdateRegion
+ *
+ * @typedef {[string, PatternRegion, TileUpdateRegion]} PatternRule
  */
 
-/** @type {[string, PatternRegion, TileUpdateRegion][]} */
-export const patterns = [
-  [
-    "Down conveyors move players down",
-    [
-      [null],
-      [null, isConveyoredPlayer("Down"), null],
-      [null, null, isEmptyForPlayer, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, playerMovedFrom, null],
-      [null, null, playerMovedTo([1, 1])],
-    ],
-  ],
-  [
-    "Down conveyored players kill other players",
-    [
-      [null],
-      [null, isConveyoredPlayer("Down"), null],
-      [null, null, and(isLivingPlayer, not(isConveyoredPlayer("Down"))), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, deadPlayer, null],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Down conveyors move players through openable doors",
-    [
-      [null],
-      [null, isConveyoredPlayer("Down"), null],
-      [null, null, isOpenableDoor([1, 1]), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, playerMovedFrom, null],
-      [null, null, playerMovedTo([1, 1])],
-    ],
-  ],
-  [
-    "Down conveyored players crash",
-    [
-      [null],
-      [null, null, null],
-      [null, null, and(isLivingPlayer, isConveyoredPlayer("Down")), null, null],
-      [null, not(isEmptyForPlayer), null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Left conveyors move players left",
-    [
-      [null],
-      [null, null, null],
-      [null, isEmptyForPlayer, isConveyoredPlayer("Left"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, playerMovedTo([2, 2]), playerMovedFrom],
-    ],
-  ],
-  [
-    "Left conveyored players move rocks",
-    [
-      [null],
-      [null, null, null],
-      [isEmptyForRock, isTile({ type: "Rock" }), isConveyoredPlayer("Left"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [rock("None"), playerMovedTo([2, 2]), playerMovedFrom],
-    ],
-  ],
-  [
-    "Left pushed rocks kill players",
-    [
-      [null],
-      [null, null, null],
-      [isLivingPlayer, isTile({ type: "Rock" }), isConveyoredPlayer("Left"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [deadPlayer, null, deadPlayer],
-    ],
-  ],
-  [
-    "Left conveyored players kill other players",
-    [
-      [null],
-      [null, null, null],
-      [null, and(isLivingPlayer, not(isConveyoredPlayer("Left"))), isConveyoredPlayer("Left"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, deadPlayer, deadPlayer],
-    ],
-  ],
-  [
-    "Left conveyors move players through openable doors left",
-    [
-      [null],
-      [null, null, null],
-      [null, isOpenableDoor([2, 2]), isConveyoredPlayer("Left"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, playerMovedTo([2, 2]), playerMovedFrom],
-    ],
-  ],
-  [
-    "Left conveyored players crash",
-    [
-      [null],
-      [null, null, null],
-      [null, not(isEmptyForPlayer), and(isLivingPlayer, isConveyoredPlayer("Left")), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Right conveyors move players right",
-    [
-      [null],
-      [null, null, null],
-      [null, isConveyoredPlayer("Right"), isEmptyForPlayer, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, playerMovedFrom, playerMovedTo([1, 2])],
-    ],
-  ],
-  [
-    "Right conveyored players move rocks",
-    [
-      [null],
-      [null, null, null],
-      [isConveyoredPlayer("Right"), isTile({ type: "Rock" }), isEmptyForRock, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [playerMovedFrom, playerMovedTo([0, 2]), rock("None")],
-    ],
-  ],
-  [
-    "Right pushed rocks kill players",
-    [
-      [null],
-      [null, null, null],
-      [isConveyoredPlayer("Right"), isTile({ type: "Rock" }), isLivingPlayer, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [deadPlayer, null, deadPlayer],
-    ],
-  ],
-  [
-    "Right conveyored players kill other players",
-    [
-      [null],
-      [null, null, null],
-      [null, isConveyoredPlayer("Right"), and(isLivingPlayer, not(isConveyoredPlayer("Right"))), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, deadPlayer, deadPlayer],
-    ],
-  ],
-  [
-    "Right conveyors move players through openable doors right",
-    [
-      [null],
-      [null, null, null],
-      [null, isConveyoredPlayer("Right"), isOpenableDoor([1, 2]), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, playerMovedFrom, playerMovedTo([1, 2])],
-    ],
-  ],
-  [
-    "Right conveyored players crash",
-    [
-      [null],
-      [null, null, null],
-      [null, null, and(isLivingPlayer, isConveyoredPlayer("Right")), not(isEmptyForPlayer), null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Up conveyors move players up",
-    [
-      [null],
-      [null, isEmptyForPlayer, null],
-      [null, null, isConveyoredPlayer("Up"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, playerMovedTo([2, 2]), null],
-      [null, null, playerMovedFrom],
-    ],
-  ],
-  [
-    "Falling rocks kill up-conveyed players",
-    [
-      [isEmptyForRock],
-      [null, isFallingRock, null],
-      [null, null, and(isLivingPlayer, isConveyoredPlayer("Up")), null, null],
-      [null, null, null],
-    ],
-    [
-      [rock("None")],
-      [null, deadPlayer, null],
-      [null, null, empty],
-    ],
-  ],
-  [
-    "Up conveyored players move rocks",
-    [
-      [isEmptyForRock],
-      [null, isTile({ type: "Rock" }), null],
-      [null, null, isConveyoredPlayer("Up"), null, null],
-      [null, null, null],
-    ],
-    [
-      [rock("None")],
-      [null, playerMovedTo([2, 2]), null],
-      [null, null, playerMovedFrom],
-    ],
-  ],
-  [
-    "Up pushed rocks kill players",
-    [
-      [isLivingPlayer],
-      [null, isTile({ type: "Rock" }), null],
-      [null, null, isConveyoredPlayer("Up"), null, null],
-      [null, null, null],
-    ],
-    [
-      [deadPlayer],
-      [null, null, null],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Up conveyored players kill other players",
-    [
-      [null],
-      [null, and(isLivingPlayer, not(isConveyoredPlayer("Up"))), null],
-      [null, null, isConveyoredPlayer("Up"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, deadPlayer, null],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Up conveyors move players up",
-    [
-      [null],
-      [null, isOpenableDoor([2, 2]), null],
-      [null, null, isConveyoredPlayer("Up"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, playerMovedTo([2, 2]), null],
-      [null, null, playerMovedFrom],
-    ],
-  ],
-  [
-    "Up conveyored players crash",
-    [
-      [null],
-      [null, not(isEmptyForPlayer), null],
-      [null, null, and(isLivingPlayer, isConveyoredPlayer("Up")), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Rocks fall down",
-    [
-      [null],
-      [null, isTile({ type: "Rock" }), null],
-      [null, null, isEmptyForRock, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, empty, null],
-      [null, null, rock("Down")],
-    ],
-  ],
-  [
-    "Rocks fall left off of and kill a player",
-    [
-      [null],
-      [isEmptyForRock, isFallingRock, null],
-      [null, isEmptyForRock, isLivingPlayer, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, empty, null],
-      [null, rock("DownLeft"), deadPlayer],
-    ],
-  ],
-  [
-    "Rocks fall left off a hard surface",
-    [
-      [null],
-      [null, isEmptyForRock, isFallingRock],
-      [null, null, isEmptyForRock, not(isEmptyForRock), null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, empty],
-      [null, null, rock("DownLeft")],
-    ],
-  ],
-  [
-    "Rocks falling left kill a player and stop",
-    [
-      [null],
-      [null, isEmptyForRock, isFallingRock],
-      [null, null, isLivingPlayer, not(isEmptyForRock), null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, rock("None")],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Rocks fall right off of and kill a player",
-    [
-      [null],
-      [isFallingRock, isEmptyForRock, null],
-      [null, isLivingPlayer, isEmptyForRock, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [empty, null, null],
-      [null, deadPlayer, rock("DownRight")],
-    ],
-  ],
-  [
-    "Rocks fall right off a hard surface",
-    [
-      [null],
-      [isFallingRock, isEmptyForRock, null],
-      [null, not(isEmptyForRock), isEmptyForRock, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [empty, null, null],
-      [null, null, rock("DownRight")],
-    ],
-  ],
-  [
-    "Rocks falling right kill a player and stop",
-    [
-      [null],
-      [isFallingRock, isEmptyForRock, null],
-      [null, not(isEmptyForRock), isLivingPlayer, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [rock("None"), null, null],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Rocks that fall down kill players and stop",
-    [
-      [null],
-      [null, isFallingRock, null],
-      [null, null, isLivingPlayer, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, rock("None"), null],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Falling rocks stop if there is no where to fall",
-    [
-      [null],
-      [null, null, null],
-      [null, null, isFallingRock, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, rock("None")],
-    ],
-  ],
-  [
-    "Water flows down",
-    [
-      [null],
-      [null, or(isTile({ type: "Water" }), isWaterloggedDirt), null],
-      [null, null, isTile({ type: "Empty" }), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, water("Down")],
-    ],
-  ],
-  [
-    "Water onto a surface",
-    [
-      [null],
-      [null, or(isTile({ type: "Water" }), isWaterloggedDirt), null],
-      [null, null, isTile({ type: "Empty" }), null, null],
-      [null, isSolidForWater, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, water("Both")],
-    ],
-  ],
-  [
-    "Down-flowing water kills a player",
-    [
-      [null],
-      [null, or(isTile({ type: "Water" }), isWaterloggedDirt), null],
-      [null, null, isLivingPlayer, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Down-ward flowing water converts to both when a surface is below it",
-    [
-      [null],
-      [null, null, null],
-      [null, null, isFlowingWater("Down"), null, null],
-      [null, isSolidForWater, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, water("Both")],
-    ],
-  ],
-  [
-    "Both-ward flowing water converts to down when no surface is below it",
-    [
-      [null],
-      [null, null, null],
-      [null, null, isFlowingWater("Both"), null, null],
-      [null, not(isSolidForWater), null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, water("Down")],
-    ],
-  ],
-  [
-    "Water spreads right",
-    [
-      [null],
-      [null, null, null],
-      [null, supportsFlowDirection("Right"), isTile({ type: "Empty" }), null, null],
-      [isSolidForWater, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, water("Right")],
-    ],
-  ],
-  [
-    "Right-flowing water kills a player",
-    [
-      [null],
-      [null, null, null],
-      [null, or(isTile({ type: "Water" }), isWaterloggedDirt), isLivingPlayer, null, null],
-      [isSolidForWater, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Water spreads left",
-    [
-      [null],
-      [null, null, null],
-      [null, null, isTile({ type: "Empty" }), and(supportsFlowDirection("Left"), not(wasJustUpdated)), null],
-      [null, null, isSolidForWater],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, water("Left")],
-    ],
-  ],
-  [
-    "Left-flowing water kills a player",
-    [
-      [null],
-      [null, null, null],
-      [null, null, isLivingPlayer, and(or(isTile({ type: "Water" }), isWaterloggedDirt), not(wasJustUpdated)), null],
-      [null, null, isSolidForWater],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, deadPlayer],
-    ],
-  ],
-  [
-    "Both-flowing and down-flowing water dries if it doesn't have a source" +
-    " or down-flowing water above it",
-    [
-      [null],
-      [null, not(or(isTile({ type: "Water" }), isWaterloggedDirt)), null],
-      [null, null, or(isFlowingWater("Both"), isFlowingWater("Down")), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, empty],
-    ],
-  ],
-  [
-    "Right-flowing water dries if it doesn't have a source or right-flowing" +
-    " water to its right",
-    [
-      [null],
-      [null, null, null],
-      [null, not(supportsFlowDirection("Right")), isFlowingWater("Right"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, empty],
-    ],
-  ],
-  [
-    "Left-flowing water dries if it doesn't have a source or left-flowing" +
-    " water to its left",
-    [
-      [null],
-      [null, null, null],
-      // TODO: THIS ALSO CAUSES LEFT WATER TO WAIT IF THE SIDE IS A ROCK THAT FELL
-      [null, null, isFlowingWater("Left"), and(not(supportsFlowDirection("Left")), not(wasJustUpdated)), null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, empty],
-    ],
-  ],
-  [
-    "Water waterlogs dirt from the top",
-    [
-      [null],
-      [null, or(isTile({ type: "Water" }), isWaterloggedDirt), null],
-      [null, null, isTile({ type: "Dirt", flowDirection: "None" }), null, null],
-      [null, not(isSolidForWater), null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, dirt("Down")],
-    ],
-  ],
-  [
-    "Waterlogged dirt flows onto a surface",
-    [
-      [null],
-      [null, or(isTile({ type: "Water" }), isWaterloggedDirt), null],
-      [null, null, isTile({ type: "Dirt", flowDirection: "None" }), null, null],
-      [null, isSolidForWater, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, dirt("Both")],
-    ],
-  ],
-  [
-    "Down-ward flowing waterlogged dirt converts to both when a surface is" +
-    " below it",
-    [
-      [null],
-      [null, null, null],
-      [null, null, isDirtFlowing("Down"), null, null],
-      [null, isSolidForWater, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, dirt("Both")],
-    ],
-  ],
-  [
-    "Both-ward flowing waterlogged dirt converts to down when no surface is" +
-    " below it",
-    [
-      [null],
-      [null, null, null],
-      [null, null, isDirtFlowing("Both"), null, null],
-      [null, not(isSolidForWater), null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, dirt("Down")],
-    ],
-  ],
-  [
-    "Water waterlogs to the right",
-    [
-      [null],
-      [null, null, null],
-      [null, supportsFlowDirection("Right"), isTile({ type: "Dirt", flowDirection: "None" }), null, null],
-      [isSolidForWater, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, dirt("Right")],
-    ],
-  ],
-  [
-    "Water waterlogs to the left",
-    [
-      [null],
-      [null, null, null],
-      [null, null, isTile({ type: "Dirt", flowDirection: "None" }), and(or(isTile({ type: "Water" }), isWaterloggedDirt), not(wasJustUpdated)), null],
-      [null, null, isSolidForWater],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, dirt("Left")],
-    ],
-  ],
-  [
-    "Both-flowing and down-flowing water dries if it doesn't have a source" +
-    " or down-flowing water above it",
-    [
-      [null],
-      [null, not(or(isTile({ type: "Water" }), isWaterloggedDirt)), null],
-      [null, null, or(isDirtFlowing("Both"), isDirtFlowing("Down")), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, dirt("None")],
-    ],
-  ],
-  [
-    "Right-flowing water dries if it doesn't have a source or right-flowing" +
-    " water to its right",
-    [
-      [null],
-      [null, null, null],
-      [null, not(supportsFlowDirection("Right")), isDirtFlowing("Right"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, dirt("None")],
-    ],
-  ],
-  [
-    "Left-flowing water dries if it doesn't have a source or left-flowing" +
-    " water to its left",
-    [
-      [null],
-      [null, null, null],
-      // TODO: SAME ISSUE AS WITH WATER
-      [null, null, isDirtFlowing("Left"), and(not(supportsFlowDirection("Left")), not(wasJustUpdated)), null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, dirt("None")],
-    ],
-  ],
-  [
-    "Down-moving players move into empty spaces",
-    [
-      [null],
-      [null, isMovingPlayer("Down"), null],
-      [null, null, isEmptyForPlayer, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, playerMovedFrom, null],
-      [null, null, playerMovedTo([1, 1])],
-    ],
-  ],
-  [
-    "Down-moving players move into openable doors",
-    [
-      [null],
-      [null, isMovingPlayer("Down"), null],
-      [null, null, isOpenableDoor([1, 1]), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, playerMovedFrom, null],
-      [null, null, playerMovedTo([1, 1])],
-    ],
-  ],
-  [
-    "Down-moving players are stopped by non-empty spaces",
-    [
-      [null],
-      [null, null, null],
-      [null, null, isMovingPlayer("Down"), null, null],
-      [null, not(isEmptyForPlayer), null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, playerWithoutInput],
-    ],
-  ],
-  [
-    "Left-moving players move into empty spaces",
-    [
-      [null],
-      [null, null, null],
-      [null, isEmptyForPlayer, isMovingPlayer("Left"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, playerMovedTo([2, 2]), playerMovedFrom],
-    ],
-  ],
-  [
-    "Left-moving players move into openable doors",
-    [
-      [null],
-      [null, null, null],
-      [null, isOpenableDoor([2, 2]), isMovingPlayer("Left"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, playerMovedTo([2, 2]), playerMovedFrom],
-    ],
-  ],
-  [
-    "Left-moving players push rocks into empty spaces",
-    [
-      [null],
-      [null, null, null],
-      [isEmptyForRock, isStationaryRock, isMovingPlayer("Left"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [rock("None"), playerMovedTo([2, 2]), playerMovedFrom],
-    ],
-  ],
-  [
-    "Left-moving players are stopped by non-empty spaces",
-    [
-      [null],
-      [null, null, null],
-      [null, not(isEmptyForPlayer), isMovingPlayer("Left"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, playerWithoutInput],
-    ],
-  ],
-  [
-    "Right-moving players move into empty spaces",
-    [
-      [null],
-      [null, null, null],
-      [null, isMovingPlayer("Right"), isEmptyForPlayer, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, playerMovedFrom, playerMovedTo([1, 2])],
-    ],
-  ],
-  [
-    "Right-moving players move into empty spaces",
-    [
-      [null],
-      [null, null, null],
-      [null, isMovingPlayer("Right"), isOpenableDoor([1, 2]), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, playerMovedFrom, playerMovedTo([1, 2])],
-    ],
-  ],
-  [
-    "Right-moving players push rocks into empty spaces",
-    [
-      [null],
-      [null, null, null],
-      [isMovingPlayer("Right"), isStationaryRock, isEmptyForRock, null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [playerMovedFrom, playerMovedTo([0, 2]), rock("None")],
-    ],
-  ],
-  [
-    "Right-moving players are stopped by non-empty spaces",
-    [
-      [null],
-      [null, null, null],
-      [null, null, isMovingPlayer("Right"), not(isEmptyForPlayer), null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, playerWithoutInput],
-    ],
-  ],
-  [
-    "Up-moving players move into empty spaces",
-    [
-      [null],
-      [null, isEmptyForPlayer, null],
-      [null, null, isMovingPlayer("Up"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, playerMovedTo([2, 2]), null],
-      [null, null, playerMovedFrom],
-    ],
-  ],
-  [
-    "Up-moving players move into openable doors",
-    [
-      [null],
-      [null, isOpenableDoor([2, 2]), null],
-      [null, null, isMovingPlayer("Up"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, playerMovedTo([2, 2]), null],
-      [null, null, playerMovedFrom],
-    ],
-  ],
-  [
-    "Up-moving players push rocks into empty spaces",
-    [
-      [isEmptyForRock],
-      [null, isStationaryRock, null],
-      [null, null, isMovingPlayer("Up"), null, null],
-      [null, null, null],
-    ],
-    [
-      [rock("None")],
-      [null, playerMovedTo([2, 2]), null],
-      [null, null, playerMovedFrom],
-    ],
-  ],
-  [
-    "Up-moving players are stopped by non-emtpy spaces",
-    [
-      [null],
-      [null, not(isEmptyForPlayer), null],
-      [null, null, isMovingPlayer("Up"), null, null],
-      [null, null, null],
-    ],
-    [
-      [null],
-      [null, null, null],
-      [null, null, playerWithoutInput],
-    ],
-  ],
+/** @type {InputDirection[]} */
+const CONVEYOR_DIRECTIONS = ["Down", "Left", "Right", "Up", "None"];
+
+/** @type {FlowDirection[]} */
+const FLOW_DIRECTIONS = ["Down", "Left", "Right", "Both"];
+
+/** @type {DirtTile["flowDirection"][]} */
+const DIRT_FLOW_DIRECTIONS = [...FLOW_DIRECTIONS, "None"];
+
+/** @type {WaterTile["flowDirection"][]} */
+const WATER_FLOW_DIRECTIONS = [...FLOW_DIRECTIONS, "All"];
+
+/** @type {RockTile["fallingDirection"][]} */
+const FALLING_DIRECTIONS = [
+  "Down",
+  "DownLeft",
+  "DownRight",
+  "Left",
+  "Right",
+  "None",
+];
+
+/** @type {FallingCollectableTile["fallingDirection"][]} */
+const FALLEN_DIRECTIONS = ["Down", "DownLeft", "DownRight", "None"];
+
+/** @type {("Left" | "Right")[]} */
+const SLIDING_DIRECTIONS = ["Left", "Right"];
+
+/** @type {ExplosionTile["ticksRemaining"][]} */
+const EXPLOSION_TICKS = [1, 2, 3];
+
+/** @type {GateTile["direction"][]} */
+const COMPASS_DIRECTIONS = ["Down", "Left", "Right", "Up"];
+
+/** @type {EnemyTile["hand"][]} */
+const ENEMY_HANDS = ["Left", "Right"];
+
+/** @type {Tile["type"][]} */
+const TILE_TYPES = [
+  "Bomb",
+  "Collectable",
+  "CrackedWall",
+  "Dirt",
+  "Door",
+  "Empty",
+  "Enemy",
+  "Exit",
+  "Explosion",
+  "FallingCollectable",
+  "Gate",
+  "IndestructibleWall",
+  "Lava",
+  "MagicWall",
+  "Player",
+  "Rock",
+  "ToggleWall",
+  "Wall",
+  "Water",
+];
+
+/** @type {RegionPoint[]} */
+const REGION_POINTS = [
+  [0, 0],
+  [0, 1], [1, 1], [2, 1],
+  [0, 2], [1, 2], [2, 2], [3, 2], [4, 2],
+  [0, 3], [1, 3], [2, 3],
 ];
 
+/**
+ * Checks that a rule argument is one of the allowed values
+ *
+ * @template {string | number} T
+ * @param {string | undefined} value
+ * @param {T[]} allowed
+ * @returns {T}
+ */
+function oneOf(value, allowed) {
+  const match = allowed.find(allowedValue => String(allowedValue) === value);
+  if (match === undefined) {
+    throw new Error(
+      `Unexpected argument ${value}, expected one of ${allowed.join(", ")}`
+    );
+  }
+
+  return match;
+}
+
+/**
+ * Checks that rule arguments are a point in a region
+ *
+ * @param {string | undefined} x
+ * @param {string | undefined} y
+ * @returns {RegionPoint}
+ */
+function regionPoint(x, y) {
+  const match = REGION_POINTS.find(
+    point => String(point[0]) === x && String(point[1]) === y
+  );
+  if (!match) {
+    throw new Error(`Invalid region point (${x}, ${y})`);
+  }
+
+  return match;
+}
+
+/**
+ * The predicates and updates that can be used in rules
+ *
+ * @type {Vocabulary}
+ */
+const vocabulary = {
+  predicates: {
+    ConveyoredPlayer: direction =>
+      isConveyoredPlayer(oneOf(direction, CONVEYOR_DIRECTIONS)),
+    EmptyForPlayer: () => isEmptyForPlayer,
+    Enemy: (hand, facingDirection) => isEnemy(
+      oneOf(hand, ENEMY_HANDS),
+      oneOf(facingDirection, COMPASS_DIRECTIONS)
+    ),
+    EmptyForRock: () => isEmptyForRock,
+    FallingRock: () => isFallingRock,
+    FlowingDirt: direction => isDirtFlowing(oneOf(direction, FLOW_DIRECTIONS)),
+    FlowingLava: direction => isFlowingLava(oneOf(direction, FLOW_DIRECTIONS)),
+    FlowingWater: direction =>
+      isFlowingWater(oneOf(direction, FLOW_DIRECTIONS)),
+    Gate: direction => isGate(oneOf(direction, COMPASS_DIRECTIONS)),
+    JustUpdated: () => wasJustUpdated,
+    LitBomb: () => isLitBomb,
+    LivingPlayer: () => isLivingPlayer,
+    MagicWall: () => isMagicWall,
+    MovingPlayer: direction =>
+      isMovingPlayer(oneOf(direction, CONVEYOR_DIRECTIONS)),
+    NearEnemy: () => isNearEnemy,
+    NearLava: () => isNearLava,
+    NearExplosion: () => isNearExplosion,
+    OpenExit: () => isOpenExit,
+    OpenableDoor: (x, y) => isOpenableDoor(regionPoint(x, y)),
+    SlidingRock: direction =>
+      isSlidingRock(oneOf(direction, SLIDING_DIRECTIONS)),
+    SolidForLava: () => isSolidForLava,
+    SolidForWater: () => isSolidForWater,
+    StationaryRock: () => isStationaryRock,
+    SupportsFlow: direction =>
+      supportsFlowDirection(oneOf(direction, FLOW_DIRECTIONS)),
+    SupportsLavaFlow: direction =>
+      supportsLavaFlowDirection(oneOf(direction, FLOW_DIRECTIONS)),
+    Tile: (type, flowDirection) => {
+      const tileType = oneOf(type, TILE_TYPES);
+      if (flowDirection === undefined) {
+        return isTile({ type: tileType });
+      }
+
+      if (tileType === "Dirt") {
+        return isTile({
+          type: tileType,
+          flowDirection: oneOf(flowDirection, DIRT_FLOW_DIRECTIONS),
+        });
+      } else if (tileType === "Water") {
+        return isTile({
+          type: tileType,
+          flowDirection: oneOf(flowDirection, WATER_FLOW_DIRECTIONS),
+        });
+      }
+
+      throw new Error(`${tileType} tiles do not flow`);
+    },
+    UnlitBomb: () => isUnlitBomb,
+    WaterloggedDirt: () => isWaterloggedDirt,
+  },
+  updates: {
+    activeMagicWall: () => activeMagicWall,
+    bomb: () => bomb,
+    collectable: () => collectable,
+    deadPlayer: () => deadPlayer,
+    dirt: direction => dirt(oneOf(direction, DIRT_FLOW_DIRECTIONS)),
+    empty: () => empty,
+    enemy: (hand, facingDirection) => enemy(
+      oneOf(hand, ENEMY_HANDS),
+      oneOf(facingDirection, COMPASS_DIRECTIONS)
+    ),
+    enteredExit: () => enteredExit,
+    explosion: ticks => explosion(oneOf(ticks, EXPLOSION_TICKS)),
+    fadedExplosion: () => fadedExplosion,
+    fallen: (direction, x, y) => fallen(
+      oneOf(direction, FALLEN_DIRECTIONS),
+      x === undefined ? undefined : regionPoint(x, y)
+    ),
+    hitCrackedWall: () => hitCrackedWall,
+    lava: direction => lava(oneOf(direction, WATER_FLOW_DIRECTIONS)),
+    litBomb: () => litBomb,
+    playerMovedFrom: () => playerMovedFrom,
+    playerMovedTo: (x, y) => playerMovedTo(regionPoint(x, y)),
+    playerWithoutInput: () => playerWithoutInput,
+    pushedRock: direction => pushedRock(oneOf(direction, SLIDING_DIRECTIONS)),
+    rock: direction => rock(oneOf(direction, FALLING_DIRECTIONS)),
+    water: direction => water(oneOf(direction, WATER_FLOW_DIRECTIONS)),
+  },
+};
+
+/**
+ * The rules of the simulation in the order they are tried
+ */
+const RULES = `
+rule Falling rocks set off bombs
+        .
+     .  FallingRock  .
+  .  .  UnlitBomb    .  .
+     .  .            .
+=>
+        .
+     .  .            .
+  .  .  litBomb
+
+rule Explosions kill players
+        .
+     .  .                           .
+  .  .  LivingPlayer&NearExplosion  .  .
+     .  .                           .
+=>
+        .
+     .  .                           .
+  .  .  deadPlayer
+
+rule Explosions set off bombs
+        .
+     .  .                        .
+  .  .  UnlitBomb&NearExplosion  .  .
+     .  .                        .
+=>
+        .
+     .  .                        .
+  .  .  litBomb
+
+rule Explosions clear everything but indestructible walls
+        .
+     .  .                                                                                                                   .
+  .  .  !Tile(IndestructibleWall)&!Tile(Bomb)&!Tile(Explosion)&!Tile(Exit)&!Tile(ToggleWall)&!Tile(Player)&NearExplosion  .  .
+     .  .                                                                                                                   .
+=>
+        .
+     .  .                                                                                                                   .
+  .  .  explosion(2)
+
+rule Lit bombs explode
+        .
+     .  .                     .
+  .  .  LitBomb&!JustUpdated  .  .
+     .  .                     .
+=>
+        .
+     .  .                     .
+  .  .  explosion(3)
+
+rule Explosions fade
+        .
+     .  .                .
+  .  .  Tile(Explosion)  .  .
+     .  .                .
+=>
+        .
+     .  .                .
+  .  .  fadedExplosion
+
+rule Enemies kill players
+        .
+     .  .                       .
+  .  .  LivingPlayer&NearEnemy  .  .
+     .  .                       .
+=>
+        .
+     .  .                       .
+  .  .  deadPlayer
+
+rule Down conveyors move players down
+        .
+     .  ConveyoredPlayer(Down)  .
+  .  .  EmptyForPlayer          .  .
+     .  .                       .
+=>
+        .
+     .  playerMovedFrom         .
+  .  .  playerMovedTo(1,1)
+
+rule Down conveyored players kill other players
+        .
+     .  ConveyoredPlayer(Down)                .
+  .  .  LivingPlayer&!ConveyoredPlayer(Down)  .  .
+     .  .                                     .
+=>
+        .
+     .  deadPlayer                            .
+  .  .  deadPlayer
+
+rule Down conveyors move players through openable doors
+        .
+     .  ConveyoredPlayer(Down)  .
+  .  .  OpenableDoor(1,1)       .  .
+     .  .                       .
+=>
+        .
+     .  playerMovedFrom         .
+  .  .  playerMovedTo(1,1)
+
+rule Down conveyors move players through down gates
+        ConveyoredPlayer(Down)
+     .  Gate(Down)          .
+  .  .  EmptyForPlayer      .  .
+     .  .                   .
+=>
+        playerMovedFrom
+     .  .                   .
+  .  .  playerMovedTo(0,0)
+
+rule Down conveyored players crash
+        .
+     .  .                                    .
+  .  .  LivingPlayer&ConveyoredPlayer(Down)  .  .
+     .  !EmptyForPlayer                      .
+=>
+        .
+     .  .                                    .
+  .  .  deadPlayer
+
+rule Left conveyors move players left
+                         .
+     .                   .                       .
+  .  EmptyForPlayer      ConveyoredPlayer(Left)  .  .
+     .                   .                       .
+=>
+                         .
+     .                   .                       .
+  .  playerMovedTo(2,2)  playerMovedFrom
+
+rule Left conveyored players move rocks
+                                      .
+                  .                   .                       .
+  EmptyForRock    Tile(Rock)          ConveyoredPlayer(Left)  .  .
+                  .                   .                       .
+=>
+                                      .
+                  .                   .                       .
+  pushedRock(Left)  playerMovedTo(2,2)  playerMovedFrom
+
+rule Left pushed rocks kill players
+                            .
+                .           .                       .
+  LivingPlayer  Tile(Rock)  ConveyoredPlayer(Left)  .  .
+                .           .                       .
+=>
+                            .
+                .           .                       .
+  deadPlayer    .           deadPlayer
+
+rule Left conveyored players kill other players
+                                           .
+     .                                     .                       .
+  .  LivingPlayer&!ConveyoredPlayer(Left)  ConveyoredPlayer(Left)  .  .
+     .                                     .                       .
+=>
+                                           .
+     .                                     .                       .
+  .  deadPlayer                            deadPlayer
+
+rule Left conveyors move players through openable doors left
+                         .
+     .                   .                       .
+  .  OpenableDoor(2,2)   ConveyoredPlayer(Left)  .  .
+     .                   .                       .
+=>
+                         .
+     .                   .                       .
+  .  playerMovedTo(2,2)  playerMovedFrom
+
+rule Left conveyors move players through left gates
+                                          .
+                      .                   .                       .
+  EmptyForPlayer      Gate(Left)          ConveyoredPlayer(Left)  .  .
+                      .                   .                       .
+=>
+                                          .
+                      .                   .                       .
+  playerMovedTo(2,2)  .                   playerMovedFrom
+
+rule Left conveyored players crash
+                      .
+     .                .                                    .
+  .  !EmptyForPlayer  LivingPlayer&ConveyoredPlayer(Left)  .  .
+     .                .                                    .
+=>
+                      .
+     .                .                                    .
+  .  .                deadPlayer
+
+rule Right conveyors move players right
+                              .
+     .                        .                   .
+  .  ConveyoredPlayer(Right)  EmptyForPlayer      .  .
+     .                        .                   .
+=>
+                              .
+     .                        .                   .
+  .  playerMovedFrom          playerMovedTo(1,2)
+
+rule Right conveyored players move rocks
+                                               .
+                           .                   .                  .
+  ConveyoredPlayer(Right)  Tile(Rock)          EmptyForRock       .  .
+                           .                   .                  .
+=>
+                                               .
+                           .                   .                  .
+  playerMovedFrom          playerMovedTo(0,2)  pushedRock(Right)
+
+rule Right pushed rocks kill players
+                                       .
+                           .           .             .
+  ConveyoredPlayer(Right)  Tile(Rock)  LivingPlayer  .  .
+                           .           .             .
+=>
+                                       .
+                           .           .             .
+  deadPlayer               .           deadPlayer
+
+rule Right conveyored players kill other players
+                              .
+     .                        .                                      .
+  .  ConveyoredPlayer(Right)  LivingPlayer&!ConveyoredPlayer(Right)  .  .
+     .                        .                                      .
+=>
+                              .
+     .                        .                                      .
+  .  deadPlayer               deadPlayer
+
+rule Right conveyors move players through openable doors right
+                              .
+     .                        .                   .
+  .  ConveyoredPlayer(Right)  OpenableDoor(1,2)   .  .
+     .                        .                   .
+=>
+                              .
+     .                        .                   .
+  .  playerMovedFrom          playerMovedTo(1,2)
+
+rule Right conveyors move players through right gates
+                                       .
+                           .           .                   .
+  ConveyoredPlayer(Right)  Gate(Right)  EmptyForPlayer      .  .
+                           .           .                   .
+=>
+                                       .
+                           .           .                   .
+  playerMovedFrom          .           playerMovedTo(0,2)
+
+rule Right conveyored players crash
+        .
+     .  .                                     .
+  .  .  LivingPlayer&ConveyoredPlayer(Right)  !EmptyForPlayer  .
+     .  .                                     .
+=>
+        .
+     .  .                                     .
+  .  .  deadPlayer
+
+rule Up conveyors move players up
+        .
+     .  EmptyForPlayer        .
+  .  .  ConveyoredPlayer(Up)  .  .
+     .  .                     .
+=>
+        .
+     .  playerMovedTo(2,2)    .
+  .  .  playerMovedFrom
+
+rule Falling rocks kill up-conveyed players
+        EmptyForRock
+     .  FallingRock                        .
+  .  .  LivingPlayer&ConveyoredPlayer(Up)  .  .
+     .  .                                  .
+=>
+        fallen(None,1,1)
+     .  deadPlayer                         .
+  .  .  empty
+
+rule Up conveyored players move rocks
+        EmptyForRock
+     .  Tile(Rock)            .
+  .  .  ConveyoredPlayer(Up)  .  .
+     .  .                     .
+=>
+        rock(None)
+     .  playerMovedTo(2,2)    .
+  .  .  playerMovedFrom
+
+rule Up pushed rocks kill players
+        LivingPlayer
+     .  Tile(Rock)            .
+  .  .  ConveyoredPlayer(Up)  .  .
+     .  .                     .
+=>
+        deadPlayer
+     .  .                     .
+  .  .  deadPlayer
+
+rule Up conveyored players kill other players
+        .
+     .  LivingPlayer&!ConveyoredPlayer(Up)  .
+  .  .  ConveyoredPlayer(Up)                .  .
+     .  .                                   .
+=>
+        .
+     .  deadPlayer                          .
+  .  .  deadPlayer
+
+rule Up conveyors move players up
+        .
+     .  OpenableDoor(2,2)     .
+  .  .  ConveyoredPlayer(Up)  .  .
+     .  .                     .
+=>
+        .
+     .  playerMovedTo(2,2)    .
+  .  .  playerMovedFrom
+
+rule Up conveyors move players through up gates
+        EmptyForPlayer
+     .  Gate(Up)              .
+  .  .  ConveyoredPlayer(Up)  .  .
+     .  .                     .
+=>
+        playerMovedTo(2,2)
+     .  .                     .
+  .  .  playerMovedFrom
+
+rule Up conveyored players crash
+        .
+     .  !EmptyForPlayer                    .
+  .  .  LivingPlayer&ConveyoredPlayer(Up)  .  .
+     .  .                                  .
+=>
+        .
+     .  .                                  .
+  .  .  deadPlayer
+
+rule Falling rocks break cracked walls and stop
+        .
+     .  FallingRock        .
+  .  .  Tile(CrackedWall)  .  .
+     .  .                  .
+=>
+        .
+     .  fallen(None)       .
+  .  .  hitCrackedWall
+
+rule Magic walls turn falling rocks into collectables
+        FallingRock&Tile(Rock)
+     .  MagicWall        .
+  .  .  Tile(Empty)      .  .
+     .  .                .
+=>
+        empty
+     .  activeMagicWall  .
+  .  .  collectable
+
+rule Rocks fall down
+        .
+     .  Tile(Rock)|Tile(FallingCollectable)  .
+  .  .  EmptyForRock                         .  .
+     .  .                                    .
+=>
+        .
+     .  empty                                .
+  .  .  fallen(Down,1,1)
+
+rule Rocks fall left off of and kill a player
+                           .
+     EmptyForRock          FallingRock   .
+  .  EmptyForRock          LivingPlayer  .  .
+     .                     .             .
+=>
+                           .
+     .                     empty         .
+  .  fallen(DownLeft,1,1)  deadPlayer
+
+rule Rocks fall left off a hard surface
+        .
+     .  EmptyForRock          FallingRock
+  .  .  EmptyForRock          !EmptyForRock&!Tile(Bomb)&!Tile(CrackedWall)  .
+     .  .                     .
+=>
+        .
+     .  .                     empty
+  .  .  fallen(DownLeft,2,1)
+
+rule Rocks falling left kill a player and stop
+        .
+     .  EmptyForRock  FallingRock
+  .  .  LivingPlayer  !EmptyForRock&!Tile(Bomb)&!Tile(CrackedWall)  .
+     .  .             .
+=>
+        .
+     .  .             fallen(None)
+  .  .  deadPlayer
+
+rule Rocks fall right off of and kill a player
+                   .
+     FallingRock   EmptyForRock           .
+  .  LivingPlayer  EmptyForRock           .  .
+     .             .                      .
+=>
+                   .
+     empty         .                      .
+  .  deadPlayer    fallen(DownRight,0,1)
+
+rule Rocks fall right off a hard surface
+                                                  .
+     FallingRock                                  EmptyForRock           .
+  .  !EmptyForRock&!Tile(Bomb)&!Tile(CrackedWall)  EmptyForRock           .  .
+     .                                            .                      .
+=>
+                                                  .
+     empty                                        .                      .
+  .  .                                            fallen(DownRight,0,1)
+
+rule Rocks falling right kill a player and stop
+                                                  .
+     FallingRock                                  EmptyForRock  .
+  .  !EmptyForRock&!Tile(Bomb)&!Tile(CrackedWall)  LivingPlayer  .  .
+     .                                            .             .
+=>
+                                                  .
+     fallen(None)                                 .             .
+  .  .                                            deadPlayer
+
+rule Rocks that fall down kill players and stop
+        .
+     .  FallingRock   .
+  .  .  LivingPlayer  .  .
+     .  .             .
+=>
+        .
+     .  fallen(None)  .
+  .  .  deadPlayer
+
+rule Falling rocks stop if there is no where to fall
+        .
+     .  .            .
+  .  .  FallingRock  .  .
+     .  .            .
+=>
+        .
+     .  .            .
+  .  .  fallen(None)
+
+rule Rocks slide left on ice
+                       .
+     .                 .                               .
+  .  EmptyForRock      SlidingRock(Left)&!JustUpdated  .  .
+     .                 .                               .
+=>
+                       .
+     .                 .                               .
+  .  pushedRock(Left)  empty
+
+rule Rocks sliding left stop when they are blocked
+        .
+     .  .                               .
+  .  .  SlidingRock(Left)&!JustUpdated  .  .
+     .  .                               .
+=>
+        .
+     .  .                               .
+  .  .  rock(None)
+
+rule Rocks slide right on ice
+                        .
+     .                  .                  .
+  .  SlidingRock(Right)  EmptyForRock       .  .
+     .                  .                  .
+=>
+                        .
+     .                  .                  .
+  .  empty              pushedRock(Right)
+
+rule Rocks sliding right stop when they are blocked
+        .
+     .  .                   .
+  .  .  SlidingRock(Right)  .  .
+     .  .                   .
+=>
+        .
+     .  .                   .
+  .  .  rock(None)
+
+rule Falling rocks crush enemies
+        .
+     .  FallingRock       .
+  .  .  Tile(Enemy)       .  .
+     .  .                 .
+=>
+        .
+     .  empty             .
+  .  .  fallen(Down,1,1)
+
+rule Left-hand enemies facing down turn left when they can
+                       .
+     .                 .                  .
+  .  Enemy(Left,Down)  Tile(Empty)        .  .
+     .                 .                  .
+=>
+                       .
+     .                 .                  .
+  .  empty             enemy(Left,Right)
+
+rule Left-hand enemies facing down go forward when they cannot turn left
+        .
+     .  Enemy(Left,Down)  !Tile(Empty)
+  .  .  Tile(Empty)       .             .
+     .  .                 .
+=>
+        .
+     .  empty             .
+  .  .  enemy(Left,Down)
+
+rule Left-hand enemies facing down turn right when they are blocked
+        .
+     .  .                 .
+  .  .  Enemy(Left,Down)  !Tile(Empty)  .
+     .  !Tile(Empty)      .
+=>
+        .
+     .  .                 .
+  .  .  enemy(Left,Left)
+
+rule Left-hand enemies facing left turn left when they can
+        .
+     .  Enemy(Left,Left)  .
+  .  .  Tile(Empty)       .  .
+     .  .                 .
+=>
+        .
+     .  empty             .
+  .  .  enemy(Left,Down)
+
+rule Left-hand enemies facing left go forward when they cannot turn left
+                       .
+     .                 .                 .
+  .  Tile(Empty)       Enemy(Left,Left)  .  .
+     .                 !Tile(Empty)      .
+=>
+                       .
+     .                 .                 .
+  .  enemy(Left,Left)  empty
+
+rule Left-hand enemies facing left turn right when they are blocked
+                   .
+     .             .                 .
+  .  !Tile(Empty)  Enemy(Left,Left)  .  .
+     .             !Tile(Empty)      .
+=>
+                   .
+     .             .                 .
+  .  .             enemy(Left,Up)
+
+rule Left-hand enemies facing right turn left when they can
+        .
+     .  Tile(Empty)        .
+  .  .  Enemy(Left,Right)  .  .
+     .  .                  .
+=>
+        .
+     .  enemy(Left,Up)     .
+  .  .  empty
+
+rule Left-hand enemies facing right go forward when they cannot turn left
+                        .
+     !Tile(Empty)       .                  .
+  .  Enemy(Left,Right)  Tile(Empty)        .  .
+     .                  .                  .
+=>
+                        .
+     .                  .                  .
+  .  empty              enemy(Left,Right)
+
+rule Left-hand enemies facing right turn right when they are blocked
+        .
+     .  !Tile(Empty)       .
+  .  .  Enemy(Left,Right)  !Tile(Empty)  .
+     .  .                  .
+=>
+        .
+     .  .                  .
+  .  .  enemy(Left,Down)
+
+rule Left-hand enemies facing up turn left when they can
+                       .
+     .                 .               .
+  .  Tile(Empty)       Enemy(Left,Up)  .  .
+     .                 .               .
+=>
+                       .
+     .                 .               .
+  .  enemy(Left,Left)  empty
+
+rule Left-hand enemies facing up go forward when they cannot turn left
+                   .
+     .             Tile(Empty)     .
+  .  !Tile(Empty)  Enemy(Left,Up)  .  .
+     .             .               .
+=>
+                   .
+     .             enemy(Left,Up)  .
+  .  .             empty
+
+rule Left-hand enemies facing up turn right when they are blocked
+                   .
+     .             !Tile(Empty)       .
+  .  !Tile(Empty)  Enemy(Left,Up)     .  .
+     .             .                  .
+=>
+                   .
+     .             .                  .
+  .  .             enemy(Left,Right)
+
+rule Right-hand enemies facing down turn right when they can
+                        .
+     .                  .                  .
+  .  Tile(Empty)        Enemy(Right,Down)  .  .
+     .                  .                  .
+=>
+                        .
+     .                  .                  .
+  .  enemy(Right,Left)  empty
+
+rule Right-hand enemies facing down go forward when they cannot turn right
+                   .
+     !Tile(Empty)  Enemy(Right,Down)  .
+  .  .             Tile(Empty)        .  .
+     .             .                  .
+=>
+                   .
+     .             empty              .
+  .  .             enemy(Right,Down)
+
+rule Right-hand enemies facing down turn left when they are blocked
+                   .
+     .             .                   .
+  .  !Tile(Empty)  Enemy(Right,Down)   .  .
+     .             !Tile(Empty)        .
+=>
+                   .
+     .             .                   .
+  .  .             enemy(Right,Right)
+
+rule Right-hand enemies facing left turn right when they can
+        .
+     .  Tile(Empty)        .
+  .  .  Enemy(Right,Left)  .  .
+     .  .                  .
+=>
+        .
+     .  enemy(Right,Up)    .
+  .  .  empty
+
+rule Right-hand enemies facing left go forward when they cannot turn right
+                        .
+     .                  !Tile(Empty)       .
+  .  Tile(Empty)        Enemy(Right,Left)  .  .
+     .                  .                  .
+=>
+                        .
+     .                  .                  .
+  .  enemy(Right,Left)  empty
+
+rule Right-hand enemies facing left turn left when they are blocked
+                   .
+     .             !Tile(Empty)       .
+  .  !Tile(Empty)  Enemy(Right,Left)  .  .
+     .             .                  .
+=>
+                   .
+     .             .                  .
+  .  .             enemy(Right,Down)
+
+rule Right-hand enemies facing right turn right when they can
+        .
+     .  Enemy(Right,Right)  .
+  .  .  Tile(Empty)         .  .
+     .  .                   .
+=>
+        .
+     .  empty               .
+  .  .  enemy(Right,Down)
+
+rule Right-hand enemies facing right go forward when they cannot turn right
+                         .
+     .                   .                   .
+  .  Enemy(Right,Right)  Tile(Empty)         .  .
+     !Tile(Empty)        .                   .
+=>
+                         .
+     .                   .                   .
+  .  empty               enemy(Right,Right)
+
+rule Right-hand enemies facing right turn left when they are blocked
+        .
+     .  .                   .
+  .  .  Enemy(Right,Right)  !Tile(Empty)  .
+     .  !Tile(Empty)        .
+=>
+        .
+     .  .                   .
+  .  .  enemy(Right,Up)
+
+rule Right-hand enemies facing up turn right when they can
+                      .
+     .                .                   .
+  .  Enemy(Right,Up)  Tile(Empty)         .  .
+     .                .                   .
+=>
+                      .
+     .                .                   .
+  .  empty            enemy(Right,Right)
+
+rule Right-hand enemies facing up go forward when they cannot turn right
+        .
+     .  Tile(Empty)      .
+  .  .  Enemy(Right,Up)  !Tile(Empty)  .
+     .  .                .
+=>
+        .
+     .  enemy(Right,Up)  .
+  .  .  empty
+
+rule Right-hand enemies facing up turn left when they are blocked
+        .
+     .  !Tile(Empty)       .
+  .  .  Enemy(Right,Up)    !Tile(Empty)  .
+     .  .                  .
+=>
+        .
+     .  .                  .
+  .  .  enemy(Right,Left)
+
+rule Lava flowing onto water turns both into rock
+        .
+     .  Tile(Lava)    .
+  .  .  Tile(Water)   .  .
+     .  .             .
+=>
+        .
+     .  rock(None)    .
+  .  .  rock(None)
+
+rule Water flowing onto lava turns both into rock
+        .
+     .  Tile(Water)   .
+  .  .  Tile(Lava)    .  .
+     .  .             .
+=>
+        .
+     .  rock(None)    .
+  .  .  rock(None)
+
+rule Lava next to water on its left turns both into rock
+                    .
+     .              .            .
+  .  Tile(Water)    Tile(Lava)   .  .
+     .              .            .
+=>
+                    .
+     .              .            .
+  .  rock(None)     rock(None)
+
+rule Water next to lava on its left turns both into rock
+                    .
+     .              .            .
+  .  Tile(Lava)     Tile(Water)  .  .
+     .              .            .
+=>
+                    .
+     .              .            .
+  .  rock(None)     rock(None)
+
+rule Lava burns dirt away
+        .
+     .  .                     .
+  .  .  Tile(Dirt)&NearLava   .  .
+     .  .                     .
+=>
+        .
+     .  .                     .
+  .  .  empty
+
+rule Water flows down
+        .
+     .  Tile(Water)|WaterloggedDirt  .
+  .  .  Tile(Empty)                  .  .
+     .  .                            .
+=>
+        .
+     .  .                            .
+  .  .  water(Down)
+
+rule Down-flowing water kills a player
+        .
+     .  Tile(Water)|WaterloggedDirt  .
+  .  .  LivingPlayer                 .  .
+     .  .                            .
+=>
+        .
+     .  .                            .
+  .  .  deadPlayer
+
+rule Down-ward flowing water converts to both when a surface is below it
+        .
+     .  .                   .
+  .  .  FlowingWater(Down)  .  .
+     .  SolidForWater       .
+=>
+        .
+     .  .                   .
+  .  .  water(Both)
+
+rule Both-ward flowing water converts to down when no surface is below it
+        .
+     .  .                   .
+  .  .  FlowingWater(Both)  .  .
+     .  !SolidForWater      .
+=>
+        .
+     .  .                   .
+  .  .  water(Down)
+
+rule Water spreads right
+                          .
+     .                    .             .
+  .  SupportsFlow(Right)  Tile(Empty)   .  .
+     SolidForWater        .             .
+=>
+                          .
+     .                    .             .
+  .  .                    water(Right)
+
+rule Right-flowing water kills a player
+                                  .
+     .                            .             .
+  .  Tile(Water)|WaterloggedDirt  LivingPlayer  .  .
+     SolidForWater                .             .
+=>
+                                  .
+     .                            .             .
+  .  .                            deadPlayer
+
+rule Water spreads left
+        .
+     .  .            .
+  .  .  Tile(Empty)  SupportsFlow(Left)&!JustUpdated  .
+     .  .            SolidForWater
+=>
+        .
+     .  .            .
+  .  .  water(Left)
+
+rule Left-flowing water kills a player
+        .
+     .  .             .
+  .  .  LivingPlayer  (Tile(Water)|WaterloggedDirt)&!JustUpdated  .
+     .  .             SolidForWater
+=>
+        .
+     .  .             .
+  .  .  deadPlayer
+
+rule Both-flowing and down-flowing water dries if it doesn't have a source or down-flowing water above it
+        .
+     .  !(Tile(Water)|WaterloggedDirt)         .
+  .  .  FlowingWater(Both)|FlowingWater(Down)  .  .
+     .  .                                      .
+=>
+        .
+     .  .                                      .
+  .  .  empty
+
+rule Right-flowing water dries if it doesn't have a source or right-flowing water to its right
+                           .
+     .                     .                    .
+  .  !SupportsFlow(Right)  FlowingWater(Right)  .  .
+     .                     .                    .
+=>
+                           .
+     .                     .                    .
+  .  .                     empty
+
+# TODO: THIS ALSO CAUSES LEFT WATER TO WAIT IF THE SIDE IS A ROCK THAT FELL
+rule Left-flowing water dries if it doesn't have a source or left-flowing water to its left
+        .
+     .  .                   .
+  .  .  FlowingWater(Left)  !SupportsFlow(Left)&!JustUpdated  .
+     .  .                   .
+=>
+        .
+     .  .                   .
+  .  .  empty
+
+rule Water waterlogs dirt from the top
+        .
+     .  Tile(Water)|WaterloggedDirt  .
+  .  .  Tile(Dirt,None)              .  .
+     .  !SolidForWater               .
+=>
+        .
+     .  .                            .
+  .  .  dirt(Down)
+
+rule Waterlogged dirt flows onto a surface
+        .
+     .  Tile(Water)|WaterloggedDirt  .
+  .  .  Tile(Dirt,None)              .  .
+     .  SolidForWater                .
+=>
+        .
+     .  .                            .
+  .  .  dirt(Both)
+
+rule Down-ward flowing waterlogged dirt converts to both when a surface is below it
+        .
+     .  .                  .
+  .  .  FlowingDirt(Down)  .  .
+     .  SolidForWater      .
+=>
+        .
+     .  .                  .
+  .  .  dirt(Both)
+
+rule Both-ward flowing waterlogged dirt converts to down when no surface is below it
+        .
+     .  .                  .
+  .  .  FlowingDirt(Both)  .  .
+     .  !SolidForWater     .
+=>
+        .
+     .  .                  .
+  .  .  dirt(Down)
+
+rule Water waterlogs to the right
+                          .
+     .                    .                .
+  .  SupportsFlow(Right)  Tile(Dirt,None)  .  .
+     SolidForWater        .                .
+=>
+                          .
+     .                    .                .
+  .  .                    dirt(Right)
+
+rule Water waterlogs to the left
+        .
+     .  .                .
+  .  .  Tile(Dirt,None)  (Tile(Water)|WaterloggedDirt)&!JustUpdated  .
+     .  .                SolidForWater
+=>
+        .
+     .  .                .
+  .  .  dirt(Left)
+
+rule Both-flowing and down-flowing water dries if it doesn't have a source or down-flowing water above it
+        .
+     .  !(Tile(Water)|WaterloggedDirt)       .
+  .  .  FlowingDirt(Both)|FlowingDirt(Down)  .  .
+     .  .                                    .
+=>
+        .
+     .  .                                    .
+  .  .  dirt(None)
+
+rule Right-flowing water dries if it doesn't have a source or right-flowing water to its right
+                           .
+     .                     .                   .
+  .  !SupportsFlow(Right)  FlowingDirt(Right)  .  .
+     .                     .                   .
+=>
+                           .
+     .                     .                   .
+  .  .                     dirt(None)
+
+# TODO: SAME ISSUE AS WITH WATER
+rule Left-flowing water dries if it doesn't have a source or left-flowing water to its left
+        .
+     .  .                  .
+  .  .  FlowingDirt(Left)  !SupportsFlow(Left)&!JustUpdated  .
+     .  .                  .
+=>
+        .
+     .  .                  .
+  .  .  dirt(None)
+
+rule Lava flows down
+        .
+     .  Tile(Lava)          .
+  .  .  Tile(Empty)         .  .
+     .  .                   .
+=>
+        .
+     .  .                   .
+  .  .  lava(Down)
+
+rule Down-flowing lava kills a player
+        .
+     .  Tile(Lava)          .
+  .  .  LivingPlayer        .  .
+     .  .                   .
+=>
+        .
+     .  .                   .
+  .  .  deadPlayer
+
+rule Down-ward flowing lava converts to both when a surface is below it
+        .
+     .  .                   .
+  .  .  FlowingLava(Down)   .  .
+     .  SolidForLava        .
+=>
+        .
+     .  .                   .
+  .  .  lava(Both)
+
+rule Both-ward flowing lava converts to down when no surface is below it
+        .
+     .  .                   .
+  .  .  FlowingLava(Both)   .  .
+     .  !SolidForLava       .
+=>
+        .
+     .  .                   .
+  .  .  lava(Down)
+
+rule Lava spreads right
+                              .
+     .                        .             .
+  .  SupportsLavaFlow(Right)  Tile(Empty)   .  .
+     SolidForLava             .             .
+=>
+                              .
+     .                        .             .
+  .  .                        lava(Right)
+
+rule Right-flowing lava kills a player
+                     .
+     .               .             .
+  .  Tile(Lava)      LivingPlayer  .  .
+     SolidForLava    .             .
+=>
+                     .
+     .               .             .
+  .  .               deadPlayer
+
+rule Lava spreads left
+        .
+     .  .            .
+  .  .  Tile(Empty)  SupportsLavaFlow(Left)&!JustUpdated  .
+     .  .            SolidForLava
+=>
+        .
+     .  .            .
+  .  .  lava(Left)
+
+rule Left-flowing lava kills a player
+        .
+     .  .             .
+  .  .  LivingPlayer  Tile(Lava)&!JustUpdated  .
+     .  .             SolidForLava
+=>
+        .
+     .  .             .
+  .  .  deadPlayer
+
+rule Both-flowing and down-flowing lava drains if it doesn't have a source or down-flowing lava above it
+        .
+     .  !Tile(Lava)                            .
+  .  .  FlowingLava(Both)|FlowingLava(Down)    .  .
+     .  .                                      .
+=>
+        .
+     .  .                                      .
+  .  .  empty
+
+rule Right-flowing lava drains if it doesn't have a source or right-flowing lava to its left
+                               .
+     .                         .                   .
+  .  !SupportsLavaFlow(Right)  FlowingLava(Right)  .  .
+     .                         .                   .
+=>
+                               .
+     .                         .                   .
+  .  .                         empty
+
+rule Left-flowing lava drains if it doesn't have a source or left-flowing lava to its right
+        .
+     .  .                   .
+  .  .  FlowingLava(Left)   !SupportsLavaFlow(Left)&!JustUpdated  .
+     .  .                   .
+=>
+        .
+     .  .                   .
+  .  .  empty
+
+rule Down-moving players move into empty spaces
+        .
+     .  MovingPlayer(Down)  .
+  .  .  EmptyForPlayer      .  .
+     .  .                   .
+=>
+        .
+     .  playerMovedFrom     .
+  .  .  playerMovedTo(1,1)
+
+rule Down-moving players move into openable doors
+        .
+     .  MovingPlayer(Down)  .
+  .  .  OpenableDoor(1,1)   .  .
+     .  .                   .
+=>
+        .
+     .  playerMovedFrom     .
+  .  .  playerMovedTo(1,1)
+
+rule Down-moving players move into open exits
+        .
+     .  MovingPlayer(Down)  .
+  .  .  OpenExit            .  .
+     .  .                   .
+=>
+        .
+     .  playerMovedFrom     .
+  .  .  enteredExit
+
+rule Down-moving players pass through down gates
+        MovingPlayer(Down)
+     .  Gate(Down)          .
+  .  .  EmptyForPlayer      .  .
+     .  .                   .
+=>
+        playerMovedFrom
+     .  .                   .
+  .  .  playerMovedTo(0,0)
+
+rule Down-moving players are stopped by non-empty spaces
+        .
+     .  .                   .
+  .  .  MovingPlayer(Down)  .  .
+     .  !EmptyForPlayer     .
+=>
+        .
+     .  .                   .
+  .  .  playerWithoutInput
+
+rule Left-moving players move into empty spaces
+                         .
+     .                   .                   .
+  .  EmptyForPlayer      MovingPlayer(Left)  .  .
+     .                   .                   .
+=>
+                         .
+     .                   .                   .
+  .  playerMovedTo(2,2)  playerMovedFrom
+
+rule Left-moving players move into openable doors
+                         .
+     .                   .                   .
+  .  OpenableDoor(2,2)   MovingPlayer(Left)  .  .
+     .                   .                   .
+=>
+                         .
+     .                   .                   .
+  .  playerMovedTo(2,2)  playerMovedFrom
+
+rule Left-moving players move into open exits
+                         .
+     .                   .                   .
+  .  OpenExit            MovingPlayer(Left)  .  .
+     .                   .                   .
+=>
+                         .
+     .                   .                   .
+  .  enteredExit         playerMovedFrom
+
+rule Left-moving players pass through left gates
+                                          .
+                      .                   .                   .
+  EmptyForPlayer      Gate(Left)          MovingPlayer(Left)  .  .
+                      .                   .                   .
+=>
+                                          .
+                      .                   .                   .
+  playerMovedTo(2,2)  .                   playerMovedFrom
+
+rule Left-moving players push rocks into empty spaces
+                                      .
+                  .                   .                   .
+  EmptyForRock    StationaryRock      MovingPlayer(Left)  .  .
+                  .                   .                   .
+=>
+                                      .
+                  .                   .                   .
+  pushedRock(Left)  playerMovedTo(2,2)  playerMovedFrom
+
+rule Left-moving players push bombs into empty spaces
+                                    .
+                .                   .                   .
+  EmptyForRock  UnlitBomb           MovingPlayer(Left)  .  .
+                .                   .                   .
+=>
+                                    .
+                .                   .                   .
+  bomb          playerMovedTo(2,2)  playerMovedFrom
+
+rule Left-moving players set off bombs pushed into something
+                                    .
+                 .                  .                   .
+  !EmptyForRock  UnlitBomb          MovingPlayer(Left)  .  .
+                 .                  .                   .
+=>
+                                    .
+                 .                  .                   .
+  .              litBomb            playerWithoutInput
+
+rule Left-moving players are stopped by non-empty spaces
+                      .
+     .                .                   .
+  .  !EmptyForPlayer  MovingPlayer(Left)  .  .
+     .                .                   .
+=>
+                      .
+     .                .                   .
+  .  .                playerWithoutInput
+
+rule Right-moving players move into empty spaces
+                          .
+     .                    .                   .
+  .  MovingPlayer(Right)  EmptyForPlayer      .  .
+     .                    .                   .
+=>
+                          .
+     .                    .                   .
+  .  playerMovedFrom      playerMovedTo(1,2)
+
+rule Right-moving players move into empty spaces
+                          .
+     .                    .                   .
+  .  MovingPlayer(Right)  OpenableDoor(1,2)   .  .
+     .                    .                   .
+=>
+                          .
+     .                    .                   .
+  .  playerMovedFrom      playerMovedTo(1,2)
+
+rule Right-moving players move into open exits
+                          .
+     .                    .                   .
+  .  MovingPlayer(Right)  OpenExit            .  .
+     .                    .                   .
+=>
+                          .
+     .                    .                   .
+  .  playerMovedFrom      enteredExit
+
+rule Right-moving players pass through right gates
+                                       .
+                       .               .                   .
+  MovingPlayer(Right)  Gate(Right)     EmptyForPlayer      .  .
+                       .               .                   .
+=>
+                                       .
+                       .               .                   .
+  playerMovedFrom      .               playerMovedTo(0,2)
+
+rule Right-moving players push rocks into empty spaces
+                                           .
+                       .                   .                  .
+  MovingPlayer(Right)  StationaryRock      EmptyForRock       .  .
+                       .                   .                  .
+=>
+                                           .
+                       .                   .                  .
+  playerMovedFrom      playerMovedTo(0,2)  pushedRock(Right)
+
+rule Right-moving players push bombs into empty spaces
+                                           .
+                       .                   .             .
+  MovingPlayer(Right)  UnlitBomb           EmptyForRock  .  .
+                       .                   .             .
+=>
+                                           .
+                       .                   .             .
+  playerMovedFrom      playerMovedTo(0,2)  bomb
+
+rule Right-moving players set off bombs pushed into something
+                          .
+     .                    .          .
+  .  MovingPlayer(Right)  UnlitBomb  !EmptyForRock  .
+     .                    .          .
+=>
+                          .
+     .                    .          .
+  .  playerWithoutInput   litBomb
+
+rule Right-moving players are stopped by non-empty spaces
+        .
+     .  .                    .
+  .  .  MovingPlayer(Right)  !EmptyForPlayer  .
+     .  .                    .
+=>
+        .
+     .  .                    .
+  .  .  playerWithoutInput
+
+rule Up-moving players move into empty spaces
+        .
+     .  EmptyForPlayer      .
+  .  .  MovingPlayer(Up)    .  .
+     .  .                   .
+=>
+        .
+     .  playerMovedTo(2,2)  .
+  .  .  playerMovedFrom
+
+rule Up-moving players move into openable doors
+        .
+     .  OpenableDoor(2,2)   .
+  .  .  MovingPlayer(Up)    .  .
+     .  .                   .
+=>
+        .
+     .  playerMovedTo(2,2)  .
+  .  .  playerMovedFrom
+
+rule Up-moving players move into open exits
+        .
+     .  OpenExit            .
+  .  .  MovingPlayer(Up)    .  .
+     .  .                   .
+=>
+        .
+     .  enteredExit         .
+  .  .  playerMovedFrom
+
+rule Up-moving players pass through up gates
+        EmptyForPlayer
+     .  Gate(Up)            .
+  .  .  MovingPlayer(Up)    .  .
+     .  .                   .
+=>
+        playerMovedTo(2,2)
+     .  .                   .
+  .  .  playerMovedFrom
+
+rule Up-moving players push rocks into empty spaces
+        EmptyForRock
+     .  StationaryRock      .
+  .  .  MovingPlayer(Up)    .  .
+     .  .                   .
+=>
+        rock(None)
+     .  playerMovedTo(2,2)  .
+  .  .  playerMovedFrom
+
+rule Up-moving players push bombs into empty spaces
+        EmptyForRock
+     .  UnlitBomb           .
+  .  .  MovingPlayer(Up)    .  .
+     .  .                   .
+=>
+        bomb
+     .  playerMovedTo(2,2)  .
+  .  .  playerMovedFrom
+
+rule Up-moving players set off bombs pushed into something
+        !EmptyForRock
+     .  UnlitBomb           .
+  .  .  MovingPlayer(Up)    .  .
+     .  .                   .
+=>
+        .
+     .  litBomb             .
+  .  .  playerWithoutInput
+
+rule Up-moving players are stopped by non-emtpy spaces
+        .
+     .  !EmptyForPlayer     .
+  .  .  MovingPlayer(Up)    .  .
+     .  .                   .
+=>
+        .
+     .  .                   .
+  .  .  playerWithoutInput
+`;
+
+/** @type {PatternRule[]} */
+export const patterns = parsePatterns(RULES, vocabulary);
+
+/**
+ * Gets the properties of a tile that decide which patterns can apply when it
+ * is the center of a region
+ *
+ * @param {Tile} tile
+ * @returns {string}
+ */
+function getDispatchKey(tile) {
+  const common = `${tile.conveyorDirection} ${tile.justUpdated}`;
+  switch (tile.type) {
+    case "Dirt":
+    case "Lava":
+    case "Water":
+      return `${tile.type} ${tile.flowDirection} ${common}`;
+
+    case "Bomb":
+      return `Bomb ${tile.isLit} ${common}`;
+
+    case "Door":
+      return `Door ${tile.color} ${common}`;
+
+    case "Enemy":
+      return `Enemy ${tile.hand} ${tile.facingDirection} ${common}`;
+
+    case "Explosion":
+      return `Explosion ${tile.ticksRemaining} ${common}`;
+
+    case "Exit":
+      return `Exit ${tile.status} ${common}`;
+
+    case "Gate":
+      return `Gate ${tile.direction} ${common}`;
+
+    case "Player":
+      return tile.isAlive ?
+        `Player ${tile.inputDirection} ${common}` :
+        `Dead player ${common}`;
+
+    case "Rock":
+      return `Rock ${tile.fallingDirection} ${common}`;
+
+    default:
+      return `${tile.type} ${common}`;
+  }
+}
+
+/**
+ * Finds the patterns that can match a region from its center tile, keeping
+ * the patterns in order. Each kind of tile is indexed the first time it is
+ * seen.
+ */
+class PatternIndex {
+  /** @type {PatternRule[]} */
+  #rules;
+
+  /** @type {Map<string, PatternRule[]>} */
+  #candidates = new Map();
+
+  /**
+   * Every known tile grouped by dispatch key, created when first needed
+   *
+   * @type {Map<string, Tile[]> | undefined}
+   */
+  #tilesByKey;
+
+  /**
+   * Matchers for the center of each rule, created when first needed
+   *
+   * @type {(((tile: Tile) => { any: boolean }) | null)[] | undefined}
+   */
+  #centerMatchers;
+
+  /**
+   * @param {PatternRule[]} rules
+   */
+  constructor(rules) {
+    this.#rules = rules;
+  }
+
+  /**
+   * Gets the patterns that can match a region with the given center tile
+   *
+   * @param {Tile} tile
+   * @returns {PatternRule[]}
+   */
+  getCandidates(tile) {
+    const key = getDispatchKey(tile);
+
+    let candidates = this.#candidates.get(key);
+    if (!candidates) {
+      candidates = this.#findCandidates(key);
+      this.#candidates.set(key, candidates);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {PatternRule[]}
+   */
+  #findCandidates(key) {
+    if (!this.#tilesByKey || !this.#centerMatchers) {
+      const universe = getTileUniverse();
+
+      this.#tilesByKey = new Map();
+      for (const tile of universe) {
+        const tileKey = getDispatchKey(tile);
+        this.#tilesByKey.set(
+          tileKey,
+          [...(this.#tilesByKey.get(tileKey) ?? []), tile]
+        );
+      }
+
+      this.#centerMatchers = this.#rules.map(([, patternRegion]) => {
+        const centerPattern = patternRegion[2][2];
+        return centerPattern ?
+          createCellMatcher(centerPattern, 2, 2, universe) :
+          null;
+      });
+    }
+
+    // Tiles that are not known could match anything
+    const tiles = this.#tilesByKey.get(key);
+    if (!tiles) {
+      return this.#rules;
+    }
+
+    const centerMatchers = this.#centerMatchers;
+    return this.#rules.filter((_, ruleIndex) => {
+      const matcher = centerMatchers[ruleIndex];
+      return !matcher || tiles.some(tile => matcher(tile).any);
+    });
+  }
+}
+
+const patternIndex = new PatternIndex(patterns);
+
 /**
  * Whether a row from a region matches the corresponding row from a pattern
  *
@@ -1483,54 +2607,212 @@ function matcher(region, patternRegion) {
 }
 
 /**
- * Sorts the points from bottom right to top left
+ * Finds the first pattern that matches a region
+ *
+ * Only the patterns that can match the center tile are tried unless the
+ * patterns to try are given.
+ *
+ * @param {TileRegion} region
+ * @param {PatternRule[]} [candidates] The patterns to try in order
+ * @returns {PatternRule | undefined}
+ */
+export function findMatchingPattern(
+  region,
+  candidates = patternIndex.getCandidates(region[2][2])
+) {
+  return candidates.find(([, pattern]) => matcher(region, pattern));
+}
+
+/**
+ * The direction rocks fall and water flows in. Rules are written for gravity
+ * pulling down and turned to match it.
+ *
+ * @typedef {"Down" | "Left" | "Right" | "Up"} Gravity
+ */
+
+/**
+ * The directions in the order of clockwise quarter turns from down. Gravity
+ * in each direction is the rules turned that many times.
+ *
+ * @type {Gravity[]}
+ */
+const CLOCKWISE_DIRECTIONS = ["Down", "Left", "Up", "Right"];
+
+/**
+ * The offsets of a region from its center
+ *
+ * @type {[number, number][][]}
+ */
+const REGION_OFFSETS = [
+  [[0, -2]],
+  [[-1, -1], [0, -1], [1, -1]],
+  [[-2, 0], [-1, 0], [0, 0], [1, 0], [2, 0]],
+  [[-1, 1], [0, 1], [1, 1]],
+];
+
+/**
+ * The offsets of a tile update region from its center
+ *
+ * @type {[number, number][][]}
+ */
+const UPDATE_OFFSETS = [
+  [[0, -2]],
+  [[-1, -1], [0, -1], [1, -1]],
+  [[-2, 0], [-1, 0], [0, 0]],
+];
+
+/**
+ * Turns an offset on the board written for gravity pulling down to match
+ * another gravity
+ *
+ * @param {[number, number]} offset
+ * @param {Gravity} gravity
+ * @returns {Point}
+ */
+export function rotateOffset([dx, dy], gravity) {
+  switch (gravity) {
+    case "Down":
+      return [dx, dy];
+
+    case "Left":
+      return [-dy, dx];
+
+    case "Right":
+      return [dy, -dx];
+
+    case "Up":
+      return [-dx, -dy];
+  }
+}
+
+/**
+ * Turns a direction clockwise by some quarter turns. Other values, such as
+ * "Ice" and "None", are kept.
+ *
+ * @template {string} T
+ * @param {T} direction
+ * @param {number} turns
+ * @returns {T}
+ */
+function turnDirection(direction, turns) {
+  const index = CLOCKWISE_DIRECTIONS.indexOf(/** @type {Gravity} */ (direction));
+  return index === -1 ?
+    direction :
+    /** @type {T} */ (CLOCKWISE_DIRECTIONS[(index + turns) % 4]);
+}
+
+/**
+ * Turns the directions of a tile that are relative to the board clockwise by
+ * some quarter turns. Falling and flowing are relative to gravity, so they
+ * are kept.
+ *
+ * @param {Tile} tile
+ * @param {number} turns
+ * @returns {Tile}
+ */
+function turnTile(tile, turns) {
+  if (turns === 0) {
+    return tile;
+  }
+
+  if (tile.type === "Gate") {
+    return { ...tile, direction: turnDirection(tile.direction, turns) };
+  }
+
+  if (!hasFloor(tile)) {
+    return tile;
+  }
+
+  const conveyorDirection = turnDirection(tile.conveyorDirection, turns);
+  if (tile.type === "Enemy") {
+    return {
+      ...tile,
+      facingDirection: turnDirection(tile.facingDirection, turns),
+      conveyorDirection,
+    };
+  }
+
+  if (tile.type === "Player" && tile.isAlive) {
+    return {
+      ...tile,
+      inputDirection: turnDirection(tile.inputDirection, turns),
+      conveyorDirection,
+    };
+  }
+
+  return { ...tile, conveyorDirection };
+}
+
+/**
+ * The offsets of a region from its center for each gravity
+ */
+const REGION_OFFSETS_BY_GRAVITY = new Map(CLOCKWISE_DIRECTIONS.map(
+  gravity => [
+    gravity,
+    REGION_OFFSETS.map(row => row.map(offset => rotateOffset(offset, gravity))),
+  ]
+));
+
+/**
+ * Compares points so they sort from bottom right to top left
+ *
+ * @param {Point} p1
+ * @param {Point} p2
+ */
+function compareReversed(p1, p2) {
+  if (p1[1] > p2[1]) {
+    return -1;
+  } else if (p1[1] < p2[1]) {
+    return 1;
+  } else if (p1[0] > p2[0]) {
+    return -1;
+  } else if (p1[0] < p2[0]) {
+    return 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Sorts the points from bottom right to top left, where the bottom is the
+ * direction of gravity
  *
  * @param {Point[]} points
+ * @param {Gravity} gravity
  */
-function reverseSortPoints(points) {
-  return [...points].sort((p1, p2) => {
-    if (p1[1] > p2[1]) {
-      return -1;
-    } else if (p1[1] < p2[1]) {
-      return 1;
-    } else if (p1[0] > p2[0]) {
-      return -1;
-    } else if (p1[0] < p2[0]) {
-      return 1;
-    }
+function reverseSortPoints(points, gravity) {
+  if (gravity === "Down") {
+    return [...points].sort(compareReversed);
+  }
 
-    return 0;
-  });
+  // Turning the points back undoes gravity, after which they sort as usual
+  const inverse =
+    CLOCKWISE_DIRECTIONS[(4 - CLOCKWISE_DIRECTIONS.indexOf(gravity)) % 4];
+
+  return points.
+    map(point => ({ point, sortKey: rotateOffset(point, inverse) })).
+    sort(({ sortKey: p1 }, { sortKey: p2 }) => compareReversed(p1, p2)).
+    map(({ point }) => point);
 }
 
 /**
- * Gets the 5x5 region centered at a given point
+ * Gets the region centered at a given point as the rules see it, turned so
+ * that gravity pulls down
  *
  * @param {Board} board
  * @param {Point} pt
+ * @param {Gravity} gravity
  * @returns {TileRegion}
  */
-function getPointCenteredRegion(board, pt) {
-  return [
-    [board.getTile([pt[0], pt[1] - 2])],
-    [
-      board.getTile([pt[0] - 1, pt[1] - 1]),
-      board.getTile([pt[0], pt[1] - 1]),
-      board.getTile([pt[0] + 1, pt[1] - 1]),
-    ],
-    [
-      board.getTile([pt[0] - 2, pt[1]]),
-      board.getTile([pt[0] - 1, pt[1]]),
-      board.getTile([pt[0], pt[1]]),
-      board.getTile([pt[0] + 1, pt[1]]),
-      board.getTile([pt[0] + 1, pt[1]]),
-    ],
-    [
-      board.getTile([pt[0] - 1, pt[1] + 1]),
-      board.getTile([pt[0], pt[1] + 1]),
-      board.getTile([pt[0] + 1, pt[1] + 1]),
-    ],
-  ];
+export function getPointCenteredRegion(board, pt, gravity) {
+  const turns = (4 - CLOCKWISE_DIRECTIONS.indexOf(gravity)) % 4;
+  const offsets = /** @type {Point[][]} */ (
+    REGION_OFFSETS_BY_GRAVITY.get(gravity)
+  );
+
+  return /** @type {TileRegion} */ (offsets.map(row => row.map(
+    ([dx, dy]) => turnTile(board.getTile([pt[0] + dx, pt[1] + dy]), turns)
+  )));
 }
 
 /**
@@ -1543,7 +2825,13 @@ function getPointCenteredRegion(board, pt) {
  */
 function applyTileUpdate(tile, region, tileUpdate) {
   const updated = tileUpdate?.(tile, region) || tile;
-  if (updated.type === "Door") {
+  if (
+    updated.type === "CrackedWall" ||
+    updated.type === "Door" ||
+    updated.type === "Gate" ||
+    updated.type === "MagicWall" ||
+    updated.type === "ToggleWall"
+  ) {
     return {
       ...updated,
       justUpdated: true,
@@ -1556,78 +2844,101 @@ function applyTileUpdate(tile, region, tileUpdate) {
     justUpdated: true,
     conveyorDirection: tile.conveyorDirection,
     keyColor: updated.keyColor ?? tile.keyColor,
+    ...getFloorDevices(tile),
   };
 }
 
 /**
+ * Applies the updates of a pattern, turning the updated tiles back from how
+ * the rules see them
  *
  * @param {Board} board
  * @param {Point} pt
  * @param {TileRegion} region
  * @param {TileUpdateRegion} updates
+ * @param {Gravity} gravity
  */
-function applyRegionUpdates(board, pt, region, updates) {
+function applyRegionUpdates(board, pt, region, updates, gravity) {
+  const turns = CLOCKWISE_DIRECTIONS.indexOf(gravity);
+
   /** @type {Point[]} */
   const updatedPoints = [];
 
-  for (let rowIndex = 0; rowIndex < 3; ++rowIndex) {
-    let rowOffset = 0;
-    if (rowIndex === 0) {
-      rowOffset = 2;
-    } else if (rowIndex === 1) {
-      rowOffset = 1;
-    }
+  UPDATE_OFFSETS.forEach((row, rowIndex) => {
+    row.forEach((offset, index) => {
+      const update = updates[rowIndex][index];
+      if (!update) {
+        return;
+      }
 
-    const baseX = pt[0] + rowOffset - 2;
+      const [dx, dy] = rotateOffset(offset, gravity);
 
-    for (let index = 0; index < updates.length; ++index) {
       /** @type {Point} */
-      const currentPoint = [baseX + index, pt[1] + rowIndex - 2];
-
-      const update = updates[rowIndex][index];
-      if (update) {
-        updatedPoints.push(currentPoint);
+      const currentPoint = [pt[0] + dx, pt[1] + dy];
+      updatedPoints.push(currentPoint);
 
-        board.setTile(
-          currentPoint,
+      board.setTile(
+        currentPoint,
+        turnTile(
           applyTileUpdate(
-            board.getTile(currentPoint),
+            turnTile(board.getTile(currentPoint), (4 - turns) % 4),
             region,
             update
-          )
-        );
-      }
-    }
-  }
+          ),
+          turns
+        )
+      );
+    });
+  });
 
   return updatedPoints;
 }
 
+/**
+ * @typedef PatternMatch
+ * @property {Point} point The point the pattern matched at
+ * @property {string} description The description of the pattern
+ * @property {Point[]} updatedPoints The points the pattern updated
+ *
+ * @callback PatternMatchCallback
+ * @param {PatternMatch} match
+ * @returns {void}
+ */
+
 /**
  * Applies updates to each tile that needs an update
  *
  * @param {Board} board
  * @param {Point[]} pointsToUpdate
+ * @param {PatternMatchCallback} [onMatch] Called after each pattern is applied
+ * @param {Gravity} [gravity] The direction rocks fall and water flows in
  * @returns {Point[]} the points that were updated
  */
-export function applyPatternTileUpdates(board, pointsToUpdate) {
-  const sortedUpdatedTiles = reverseSortPoints(pointsToUpdate);
+export function applyPatternTileUpdates(
+  board,
+  pointsToUpdate,
+  onMatch,
+  gravity = "Down"
+) {
+  const sortedUpdatedTiles = reverseSortPoints(pointsToUpdate, gravity);
 
   /** @type {Point[]} */
   const updatedPoints = [];
   for (const point of sortedUpdatedTiles) {
-    const region = getPointCenteredRegion(board, point);
-    for (const [description, pattern, updates] of patterns) {
-      if (matcher(region, pattern)) {
-        console.debug(
-          `Matched "${description}" at (${point[0]}, ${point[1]})`
-        );
-
-        updatedPoints.push(
-          ...applyRegionUpdates(board, point, region, updates)
-        );
-        break;
-      }
+    const region = getPointCenteredRegion(board, point, gravity);
+    const match = findMatchingPattern(region);
+    if (match) {
+      const [description, , updates] = match;
+      const patternUpdatedPoints =
+        applyRegionUpdates(board, point, region, updates, gravity);
+
+      onMatch?.({
+        point,
+        description,
+        updatedPoints: patternUpdatedPoints,
+      });
+
+      updatedPoints.push(...patternUpdatedPoints);
     }
   }
 
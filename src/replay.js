@@ -0,0 +1,268 @@
+/**
+ * @typedef {import("./board.js").Board} Board
+ * @typedef {import("./board.js").Point} Point
+ * @typedef {import("./patterns.js").Gravity} Gravity
+ * @typedef {import("./state.js").RecordedInput} RecordedInput
+ * @typedef {import("./tile.js").InputDirection} InputDirection
+ *
+ * @typedef Replay
+ * @property {Board} board The board at the start of the replay
+ * @property {RecordedInput[]} inputs
+ * @property {Gravity} gravity
+ */
+
+import { decodeBoard, encodeBoard } from "./board.js";
+import { State } from "./state.js";
+
+/**
+ * Encodes an input direction as a single character
+ *
+ * @param {InputDirection} inputDirection
+ * @returns {string}
+ */
+export function encodeInputDirection(inputDirection) {
+  switch (inputDirection) {
+    case "Down":
+      return "D";
+
+    case "Left":
+      return "L";
+
+    case "None":
+      return ".";
+
+    case "Right":
+      return "R";
+
+    case "Up":
+      return "U";
+  }
+}
+
+/**
+ * Decodes an input direction from an array of characters
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {InputDirection}
+ */
+export function decodeInputDirection(chars, index) {
+  switch (chars[index]) {
+    case "D":
+      return "Down";
+
+    case "L":
+      return "Left";
+
+    case ".":
+      return "None";
+
+    case "R":
+      return "Right";
+
+    case "U":
+      return "Up";
+
+    default:
+      throw new Error(`Unexpected input ${chars[index]} at ${index}`);
+  }
+}
+
+/**
+ * Encodes recorded inputs as a string
+ *
+ * Each input is encoded as the number of ticks since the previous input
+ * followed by its direction. The number is omitted when no ticks passed.
+ *
+ * @param {RecordedInput[]} inputs
+ */
+export function encodeInputs(inputs) {
+  let previousTick = 0;
+  return inputs.map(({ tick, inputDirection }) => {
+    const elapsed = tick - previousTick;
+    previousTick = tick;
+
+    const encodedDirection = encodeInputDirection(inputDirection);
+    return elapsed > 0 ? `${elapsed}${encodedDirection}` : encodedDirection;
+  }).join("");
+}
+
+/**
+ * Decodes recorded inputs from a string
+ *
+ * @param {string} encoded
+ * @returns {RecordedInput[]}
+ */
+export function decodeInputs(encoded) {
+  const chars = [...encoded];
+
+  /** @type {RecordedInput[]} */
+  const inputs = [];
+
+  let tick = 0;
+  let index = 0;
+  while (index < chars.length) {
+    let elapsed = 0;
+    for (; index < chars.length && /\d/.test(chars[index]); ++index) {
+      elapsed = (elapsed * 10) + Number.parseInt(chars[index]);
+    }
+
+    tick += elapsed;
+    inputs.push({ tick, inputDirection: decodeInputDirection(chars, index) });
+    ++index;
+  }
+
+  return inputs;
+}
+
+/**
+ * Encodes a replay as a string
+ *
+ * Gravity other than down is encoded as a direction after a second separator.
+ *
+ * @param {Replay} replay
+ */
+export function encodeReplay(replay) {
+  const encoded = `${encodeBoard(replay.board)}|${encodeInputs(replay.inputs)}`;
+  return replay.gravity === "Down" ?
+    encoded :
+    `${encoded}|${encodeInputDirection(replay.gravity)}`;
+}
+
+/**
+ * Decodes a replay
+ *
+ * @param {string} encoded
+ * @returns {Replay}
+ */
+export function decodeReplay(encoded) {
+  const [board, inputs, gravity, ...rest] = encoded.split("|");
+  if (inputs === undefined) {
+    throw new Error("Expected replay separator");
+  }
+
+  if (rest.length > 0) {
+    throw new Error("Unexpected replay separator");
+  }
+
+  return {
+    board: decodeBoard(board),
+    inputs: decodeInputs(inputs),
+    gravity: gravity === undefined ? "Down" : decodeGravity(gravity),
+  };
+}
+
+/**
+ * Decodes the gravity of a replay
+ *
+ * @param {string} encoded
+ * @returns {Gravity}
+ */
+function decodeGravity(encoded) {
+  const gravity = decodeInputDirection([...encoded], 0);
+  if (gravity === "None" || encoded.length !== 1) {
+    throw new Error(`Unexpected gravity ${encoded}`);
+  }
+
+  return gravity;
+}
+
+/**
+ * Gets the replay of everything played so far in a state
+ *
+ * @param {State} state
+ * @returns {Replay}
+ */
+export function getReplay(state) {
+  return {
+    board: state.originalBoard.clone(),
+    inputs: state.inputs.slice(),
+    gravity: state.gravity,
+  };
+}
+
+/**
+ * Plays back a replay by feeding its inputs into a state at the tick each
+ * was recorded
+ */
+export class ReplayPlayer {
+  /** @type {Replay} */
+  #replay;
+
+  /** @type {number} */
+  #nextInput = 0;
+
+  /**
+   * @param {Replay} replay
+   * @param {number} [maxTicks] The most ticks to play if the board never
+   * settles
+   */
+  constructor(replay, maxTicks = 10000) {
+    this.#replay = replay;
+
+    /** @type {State} */
+    this.state = new State(replay.board.clone(), { gravity: replay.gravity });
+
+    while (!this.finished && this.state.ticks < maxTicks) {
+      this.step();
+    }
+
+    /**
+     * The total number of ticks in the replay
+     *
+     * @type {number}
+     */
+    this.length = this.state.ticks;
+
+    this.seek(0);
+  }
+
+  get tick() {
+    return this.state.ticks;
+  }
+
+  get finished() {
+    return this.#nextInput >= this.#replay.inputs.length &&
+      this.state.updatedTiles.length === 0;
+  }
+
+  /**
+   * Plays a single tick of the replay
+   *
+   * @returns {Point[]} The points that were updated
+   */
+  step() {
+    /** @type {Point[]} */
+    const updatedPoints = [];
+
+    const inputs = this.#replay.inputs;
+    while (
+      this.#nextInput < inputs.length &&
+      inputs[this.#nextInput].tick <= this.state.ticks
+    ) {
+      updatedPoints.push(
+        ...this.state.movePlayers(inputs[this.#nextInput].inputDirection)
+      );
+      ++this.#nextInput;
+    }
+
+    updatedPoints.push(...this.state.applyUpdates());
+    return updatedPoints;
+  }
+
+  /**
+   * Moves the replay to the given tick
+   *
+   * @param {number} tick
+   */
+  seek(tick) {
+    if (tick < this.state.ticks) {
+      this.state.reset();
+      this.#nextInput = 0;
+    }
+
+    while (this.state.ticks < tick && this.state.ticks < this.length) {
+      this.step();
+    }
+  }
+}
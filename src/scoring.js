@@ -0,0 +1,116 @@
+/**
+ * @typedef ScoreInput
+ * @property {number} movesMade
+ * @property {number} activeTicks The ticks that changed something besides
+ * moving enemies, so waiting for enemies or magic walls is not penalized
+ * @property {number} collected
+ * @property {number} deaths
+ *
+ * @typedef {1 | 2 | 3} Stars
+ *
+ * @typedef {[number, number]} StarScores The scores needed for two and three
+ * stars
+ *
+ * @typedef {Pick<Storage, "getItem" | "setItem">} ScoreStorage
+ */
+
+/**
+ * The score of a level won without moving, collecting or waiting
+ */
+const BASE_SCORE = 1000;
+
+const COLLECTABLE_POINTS = 100;
+const MOVE_PENALTY = 10;
+const TICK_PENALTY = 1;
+const DEATH_PENALTY = 100;
+
+/**
+ * The storage key of the best scores by level name
+ */
+const BEST_SCORES_KEY = "bestScores";
+
+/**
+ * Computes the score of a won level, which is never negative
+ *
+ * @param {ScoreInput} input A state can be scored directly
+ * @returns {number}
+ */
+export function computeScore({ movesMade, activeTicks, collected, deaths }) {
+  return Math.max(
+    BASE_SCORE +
+      collected * COLLECTABLE_POINTS -
+      movesMade * MOVE_PENALTY -
+      activeTicks * TICK_PENALTY -
+      deaths * DEATH_PENALTY,
+    0
+  );
+}
+
+/**
+ * Gets the stars a score earns. Every win earns at least one star.
+ *
+ * @param {number} score
+ * @param {StarScores} [starScores] Levels without them only earn one star
+ * @returns {Stars}
+ */
+export function getStars(score, starScores) {
+  if (!starScores || score < starScores[0]) {
+    return 1;
+  }
+
+  return score < starScores[1] ? 2 : 3;
+}
+
+/**
+ * Loads the best scores by level name. Stored scores that cannot be read are
+ * treated as no scores so they never keep a level from being won.
+ *
+ * @param {ScoreStorage} storage
+ * @returns {Map<string, number>}
+ */
+export function loadBestScores(storage) {
+  const stored = storage.getItem(BEST_SCORES_KEY);
+  if (stored === null) {
+    return new Map();
+  }
+
+  /** @type {unknown} */
+  let parsed;
+  try {
+    parsed = JSON.parse(stored);
+  } catch {
+    return new Map();
+  }
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return new Map();
+  }
+
+  return new Map(Object.entries(parsed).filter(
+    /** @returns {entry is [string, number]} */
+    entry => typeof entry[1] === "number"
+  ));
+}
+
+/**
+ * Stores a score if it is the best for its level
+ *
+ * @param {ScoreStorage} storage
+ * @param {string} levelName
+ * @param {number} score
+ * @returns {boolean} Whether the score is a new best
+ */
+export function recordBestScore(storage, levelName, score) {
+  const bestScores = loadBestScores(storage);
+  const best = bestScores.get(levelName);
+  if (best !== undefined && best >= score) {
+    return false;
+  }
+
+  bestScores.set(levelName, score);
+  storage.setItem(
+    BEST_SCORES_KEY,
+    JSON.stringify(Object.fromEntries(bestScores))
+  );
+  return true;
+}
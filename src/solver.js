@@ -0,0 +1,158 @@
+/**
+ * @typedef {import("./board.js").Board} Board
+ * @typedef {import("./patterns.js").Gravity} Gravity
+ * @typedef {import("./tile.js").InputDirection} InputDirection
+ *
+ * @typedef SolverOptions
+ * @property {number} [maxNodes] The most distinct boards to visit
+ * @property {number} [maxTimeMs] The most time to spend searching
+ * @property {number} [maxTicks] The most ticks to wait for the board to
+ * settle after each move
+ * @property {Gravity} [gravity] The direction rocks fall and water flows in
+ * @property {number} [maxMoves] The most moves players can make before the
+ * game is lost
+ *
+ * Boards are exhausted when every reachable board was searched, and hit the
+ * tick limit when some board did not settle so the search was incomplete.
+ *
+ * @typedef {(
+ *  "Exhausted" |
+ *  "Node limit" |
+ *  "Tick limit" |
+ *  "Time limit"
+ * )} UnsolvableReason
+ *
+ * @typedef {(
+ *  {
+ *    solved: true,
+ *    moves: string,
+ *    nodesVisited: number
+ *  } |
+ *  {
+ *    solved: false,
+ *    reason: UnsolvableReason,
+ *    nodesVisited: number
+ *  }
+ * )} SolverResult
+ */
+
+import { encodeBoard } from "./board.js";
+import { encodeInputDirection } from "./replay.js";
+import { State } from "./state.js";
+
+/** @type {InputDirection[]} */
+const DIRECTIONS = ["Up", "Left", "Down", "Right"];
+
+export const DEFAULT_MAX_NODES = 50000;
+export const DEFAULT_MAX_TIME_MS = 10000;
+export const DEFAULT_MAX_TICKS = 1000;
+
+/**
+ * Gets the moves made in a state as a string
+ *
+ * @param {State} state
+ */
+function getMoves(state) {
+  return state.inputs.
+    map(({ inputDirection }) => encodeInputDirection(inputDirection)).
+    join("");
+}
+
+/**
+ * Gets the key of a settled state, which includes the collectables made from
+ * rocks since boards with magic walls are only won once there are some
+ *
+ * @param {State} state
+ */
+function getVisitedKey(state) {
+  return `${state.createdCollectables};${encodeBoard(state.board)}`;
+}
+
+/**
+ * Finds the shortest sequence of moves that wins a board
+ *
+ * The search is breadth first over settled boards so every board is only
+ * visited once no matter how many ways there are to reach it.
+ *
+ * @param {Board} board
+ * @param {SolverOptions} [options]
+ * @returns {SolverResult}
+ */
+export function solve(board, options = {}) {
+  const {
+    maxNodes = DEFAULT_MAX_NODES,
+    maxTimeMs = DEFAULT_MAX_TIME_MS,
+    maxTicks = DEFAULT_MAX_TICKS,
+    gravity,
+    maxMoves,
+  } = options;
+
+  const deadline = Date.now() + maxTimeMs;
+
+  const initialState = new State(board.clone(), { gravity, maxMoves });
+  if (!initialState.settle(maxTicks)) {
+    return { solved: false, reason: "Tick limit", nodesVisited: 0 };
+  }
+
+  const visited = new Set([getVisitedKey(initialState)]);
+  let skippedUnsettled = false;
+
+  /** @type {(State | undefined)[]} */
+  const queue = [initialState];
+  for (let head = 0; head < queue.length; ++head) {
+    const state = /** @type {State} */ (queue[head]);
+
+    // Explored states are released since only the queue's tail is needed
+    queue[head] = undefined;
+
+    const gameState = state.gameState;
+    if (gameState === "Win") {
+      return {
+        solved: true,
+        moves: getMoves(state),
+        nodesVisited: visited.size,
+      };
+    } else if (gameState === "Lose") {
+      continue;
+    }
+
+    for (const direction of DIRECTIONS) {
+      if (Date.now() > deadline) {
+        return {
+          solved: false,
+          reason: "Time limit",
+          nodesVisited: visited.size,
+        };
+      }
+
+      const next = state.clone();
+      next.movePlayers(direction);
+      if (!next.settle(maxTicks)) {
+        skippedUnsettled = true;
+        continue;
+      }
+
+      const key = getVisitedKey(next);
+      if (visited.has(key)) {
+        continue;
+      }
+
+      if (visited.size >= maxNodes) {
+        return {
+          solved: false,
+          reason: "Node limit",
+          nodesVisited: visited.size,
+        };
+      }
+
+      visited.add(key);
+      queue.push(next);
+    }
+  }
+
+  return {
+    solved: false,
+    reason: skippedUnsettled ? "Tick limit" : "Exhausted",
+    nodesVisited: visited.size,
+  };
+}
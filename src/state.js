@@ -1,45 +1,470 @@
-import { applyPatternTileUpdates } from "./patterns.js";
+import { applyPatternTileUpdates, rotateOffset } from "./patterns.js";
+import { KEY_COLORS, getFloorDevices, hasFloor } from "./tile.js";
 
 /**
  * @typedef {import("./board.js").Board} Board
  * @typedef {import("./board.js").Point} Point
  * @typedef {import("./tile.js").InputDirection} InputDirection
+ * @typedef {import("./tile.js").KeyInventory} KeyInventory
  * @typedef {import("./tile.js").PlayerTile} PlayerTile
  * @typedef {import("./tile.js").RockTile} RockTile
  * @typedef {import("./tile.js").Tile} Tile
+ * @typedef {import("./patterns.js").Gravity} Gravity
+ * @typedef {import("./patterns.js").PatternMatch} PatternMatch
+ * @typedef {import("./patterns.js").PatternMatchCallback} PatternMatchCallback
  * @typedef {import("./patterns.js").TileUpdate} TileUpdate
  *
  * @typedef {"Lose" | "In Progress" | "Win"} GameState
+ *
+ * @typedef RecordedInput
+ * @property {number} tick The number of updates applied before the input
+ * @property {InputDirection} inputDirection
+ *
+ * @typedef Snapshot
+ * @property {Board} board
+ * @property {Set<number>} updatedTiles
+ * @property {Set<number>} enemyUpdatedTiles
+ * @property {number} ticks
+ * @property {number} activeTicks
+ * @property {number} createdCollectables
+ * @property {RecordedInput[]} inputs
+ *
+ * @typedef {PatternMatch & { tick: number }} TraceRecord A pattern that
+ * matched during the update applied after the given number of ticks
+ *
+ * @typedef {(record: TraceRecord) => void} TraceCallback
+ *
+ * @typedef StateOptions
+ * @property {Gravity} [gravity] The direction rocks fall and water flows in
+ * @property {number} [maxMoves] The most moves players can make before the
+ * game is lost
+ */
+
+/**
+ * The offsets of the tiles whose regions include a tile, for gravity pulling
+ * down. The tile is the center of the third row of the pattern triangle, and
+ * patterns also look two tiles above their center, such as players moving
+ * down through gates.
+ *
+ * @type {[number, number][]}
+ */
+const CHANGED_OFFSETS = [
+  [0, -2],
+  [-1, -1], [0, -1], [1, -1],
+  [-2, 0], [-1, 0], [0, 0], [1, 0], [2, 0],
+  [-1, 1], [0, 1], [1, 1],
+  [0, 2],
+];
+
+/**
+ * The offsets of the tiles that move enemies, for gravity pulling down.
+ * Enemies moving right or down are moved by the tile they move to.
+ *
+ * @type {[number, number][]}
+ */
+const ENEMY_OFFSETS = [[0, 0], [1, 0], [0, 1]];
+
+/**
+ * The offsets of the tiles that can move into a tile an enemy leaves, for
+ * gravity pulling down. Rocks fall or roll in from above and water and lava
+ * also flow in from the sides.
+ *
+ * @type {[number, number][]}
+ */
+const VACATED_OFFSETS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0]];
+
+/**
+ * The types of the tiles that can move into a tile an enemy leaves
+ *
+ * @type {Tile["type"][]}
+ */
+const VACATED_MOVER_TYPES = ["FallingCollectable", "Lava", "Rock", "Water"];
+
+/**
+ * The offsets of the tiles next to a tile, which are the same for every
+ * gravity
+ *
+ * @type {[number, number][]}
+ */
+const NEIGHBOR_OFFSETS = [
+  [-1, -1], [0, -1], [1, -1],
+  [-1, 0], [1, 0],
+  [-1, 1], [0, 1], [1, 1],
+];
+
+/**
+ * The description of teleports in trace records
+ */
+const TELEPORT_DESCRIPTION = "Players step onto teleporters";
+
+/**
+ * The description of exits opening in trace records
+ */
+const OPEN_EXIT_DESCRIPTION = "Exits open once everything is collected";
+
+/**
+ * The description of toggle walls opening in trace records
+ */
+const OPEN_TOGGLE_WALL_DESCRIPTION = "Pressed plates open toggle walls";
+
+/**
+ * The description of toggle walls closing in trace records
+ */
+const CLOSE_TOGGLE_WALL_DESCRIPTION = "Released plates close toggle walls";
+
+/**
+ * Finds the tiles on a board that have a channel
+ *
+ * @param {Board} board
+ * @param {(tile: Tile) => string | undefined} getChannel
+ * @returns {Map<string, Point[]>} The tiles of each channel in board order
+ */
+function findChannels(board, getChannel) {
+  /** @type {Map<string, Point[]>} */
+  const channels = new Map();
+
+  for (let y = 0; y < board.height; ++y) {
+    for (let x = 0; x < board.width; ++x) {
+      /** @type {Point} */
+      const pt = [x, y];
+      const channel = getChannel(board.getTile(pt));
+      if (channel !== undefined) {
+        channels.set(channel, [...(channels.get(channel) ?? []), pt]);
+      }
+    }
+  }
+
+  return channels;
+}
+
+/**
+ * Finds the tiles of a type on a board
+ *
+ * @param {Board} board
+ * @param {Tile["type"]} type
+ * @returns {Point[]}
+ */
+function findTiles(board, type) {
+  /** @type {Point[]} */
+  const points = [];
+
+  for (let y = 0; y < board.height; ++y) {
+    for (let x = 0; x < board.width; ++x) {
+      /** @type {Point} */
+      const pt = [x, y];
+      if (board.getTile(pt).type === type) {
+        points.push(pt);
+      }
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Counts the collectables on a board, including falling collectables
+ *
+ * @param {Board} board
+ */
+function countCollectables(board) {
+  return board.countTiles("Collectable") +
+    board.countTiles("FallingCollectable");
+}
+
+/**
+ * Counts the dead players on a board
+ *
+ * @param {Board} board
+ */
+function countDeadPlayers(board) {
+  return board.countTiles("Player") - board.livingPlayerCount;
+}
+
+/**
+ * Whether a tile is a living player
+ *
+ * @param {Tile} tile
  */
+function isLivingPlayer(tile) {
+  return tile.type === "Player" && tile.isAlive;
+}
 
 export class State {
+  /**
+   * Snapshots taken before each player move, most recent last
+   *
+   * @type {Snapshot[]}
+   */
+  #undoStack = [];
+
+  /**
+   * Snapshots taken before each undo, most recent last
+   *
+   * @type {Snapshot[]}
+   */
+  #redoStack = [];
+
+  /** @type {Map<string, TraceCallback>} */
+  #traceCallbacks = new Map();
+
+  /**
+   * The teleporters of each channel, which never move
+   *
+   * @type {Map<string, Point[]>}
+   */
+  #teleporters;
+
+  /**
+   * The pressure plates of each channel, which never move
+   *
+   * @type {Map<string, Point[]>}
+   */
+  #plates;
+
+  /**
+   * The open and closed toggle walls of each channel, which never move
+   *
+   * @type {Map<string, Point[]>}
+   */
+  #toggleWalls;
+
+  /**
+   * The exits, which never move
+   *
+   * @type {Point[]}
+   */
+  #exits;
+
+  /**
+   * The magic walls, which never move
+   *
+   * @type {Point[]}
+   */
+  #magicWalls;
+
+  /**
+   * The indices of the tiles that need an update
+   *
+   * @type {Set<number>}
+   */
+  #updatedTiles = new Set();
+
+  /**
+   * The indices of the tiles that need an update because an enemy moved near
+   * them. Enemies never stop moving so these do not keep the board from
+   * settling.
+   *
+   * @type {Set<number>}
+   */
+  #enemyUpdatedTiles = new Set();
+
+  /**
+   * The offsets of the tiles to update when a tile changes, turned to match
+   * gravity
+   *
+   * @type {Point[]}
+   */
+  #changedOffsets;
+
+  /**
+   * The offsets of the tiles to update around enemies, turned to match
+   * gravity
+   *
+   * @type {Point[]}
+   */
+  #enemyOffsets;
+
+  /**
+   * The offsets of the tiles that can move into a tile an enemy leaves,
+   * turned to match gravity
+   *
+   * @type {Point[]}
+   */
+  #vacatedOffsets;
+
   /**
    * @param {Board} board
+   * @param {StateOptions} [options]
    */
-  constructor(board) {
+  constructor(board, { gravity = "Down", maxMoves } = {}) {
     /** @type {Board} */
     this.board = board;
 
+    /** @type {Gravity} */
+    this.gravity = gravity;
+
+    /** @type {number | undefined} */
+    this.maxMoves = maxMoves;
+    this.#changedOffsets = CHANGED_OFFSETS.map(
+      offset => rotateOffset(offset, gravity)
+    );
+    this.#enemyOffsets = ENEMY_OFFSETS.map(
+      offset => rotateOffset(offset, gravity)
+    );
+    this.#vacatedOffsets = VACATED_OFFSETS.map(
+      offset => rotateOffset(offset, gravity)
+    );
+
     /** @type {Board} */
     this.originalBoard = this.board.clone();
 
     /** @type {number} */
-    this.originalCollectables = this.originalBoard.tiles.filter(
-      tile => tile.type === "Collectable"
-    ).length;
+    this.originalCollectables = countCollectables(this.originalBoard);
 
-    /** @type {Point[]} */
-    this.updatedTiles = [];
+    /**
+     * The number of players that were already dead
+     *
+     * @type {number}
+     */
+    this.originalDeadPlayers = countDeadPlayers(this.originalBoard);
 
+    /**
+     * The number of collectables magic walls have made from rocks
+     *
+     * @type {number}
+     */
+    this.createdCollectables = 0;
+
+    /**
+     * The number of times updates have been applied
+     *
+     * @type {number}
+     */
+    this.ticks = 0;
+
+    /**
+     * The number of updates that changed something besides moving enemies,
+     * which leaves out the ticks that pass while only enemies move or magic
+     * walls count down
+     *
+     * @type {number}
+     */
+    this.activeTicks = 0;
+
+    /**
+     * Every player input in the order it was made
+     *
+     * @type {RecordedInput[]}
+     */
+    this.inputs = [];
+
+    this.#teleporters = findChannels(
+      board,
+      tile => hasFloor(tile) ? tile.teleporterChannel : undefined
+    );
+    this.#plates = findChannels(
+      board,
+      tile => hasFloor(tile) ? tile.plateChannel : undefined
+    );
+    this.#toggleWalls = findChannels(
+      board,
+      tile => tile.type === "ToggleWall" ?
+        tile.channel :
+        hasFloor(tile) ? tile.toggleWallChannel : undefined
+    );
+    this.#exits = findTiles(board, "Exit");
+    this.#magicWalls = findTiles(board, "MagicWall");
     this.#updateEntireBoard();
   }
 
   get collected() {
-    return this.originalCollectables - this.collectablesRemaining;
+    return this.originalCollectables +
+      this.createdCollectables -
+      this.collectablesRemaining;
   }
 
   get collectablesRemaining() {
-    return this.board.tiles.filter(tile => tile.type === "Collectable").length;
+    return countCollectables(this.board);
+  }
+
+  /**
+   * The number of players that have died
+   */
+  get deaths() {
+    return countDeadPlayers(this.board) - this.originalDeadPlayers;
+  }
+
+  /**
+   * The number of times players have been moved
+   */
+  get movesMade() {
+    return this.inputs.length;
+  }
+
+  /**
+   * The number of moves left before the game is lost, or undefined without a
+   * move limit
+   *
+   * @returns {number | undefined}
+   */
+  get movesRemaining() {
+    return this.maxMoves === undefined ?
+      undefined :
+      Math.max(this.maxMoves - this.movesMade, 0);
+  }
+
+  /**
+   * The keys held by every living player together
+   *
+   * @returns {KeyInventory}
+   */
+  get heldKeys() {
+    /** @type {KeyInventory} */
+    const keys = {};
+
+    for (const tile of this.board.tiles) {
+      if (tile.type !== "Player" || !tile.isAlive) {
+        continue;
+      }
+
+      for (const keyColor of KEY_COLORS) {
+        const count = tile.keys[keyColor];
+        if (count !== undefined) {
+          keys[keyColor] = (keys[keyColor] ?? 0) + count;
+        }
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * The points of the tiles that need an update
+   *
+   * @returns {Point[]}
+   */
+  get updatedTiles() {
+    return [...this.#updatedTiles].map(
+      index => [index % this.board.width, Math.floor(index / this.board.width)]
+    );
+  }
+
+  /**
+   * The points of the tiles the next update applies rules to, which also
+   * include the tiles enemies disturbed and the tiles that move enemies
+   *
+   * @returns {Point[]}
+   */
+  get pointsToUpdate() {
+    return this.#getPointsToUpdate(this.#findEnemies());
+  }
+
+  /**
+   * Whether there are enemies, which keep moving after the board settles
+   */
+  get hasEnemies() {
+    return this.board.countTiles("Enemy") > 0;
+  }
+
+  /**
+   * Whether there are active magic walls, which keep counting down after the
+   * board settles
+   */
+  get hasActiveMagicWalls() {
+    return this.#magicWalls.some(pt => {
+      const tile = this.board.getTile(pt);
+      return tile.type === "MagicWall" && tile.status === "Active";
+    });
   }
 
   /**
@@ -48,102 +473,604 @@ export class State {
    * @returns {GameState}
   */
   get gameState() {
-    if (!this.board.tiles.some(tile => tile.type === "Player" && tile.isAlive)) {
+    // Players that enter an exit leave the board, so check this first
+    if (this.#exits.some(pt => {
+      const tile = this.board.getTile(pt);
+      return tile.type === "Exit" && tile.status === "Entered";
+    })) {
+      return "Win";
+    }
+
+    if (this.board.livingPlayerCount === 0) {
       return "Lose"
     }
 
-    if ((this.collectablesRemaining === 0) && (this.updatedTiles.length === 0)) {
+    // Levels with exits are only won by entering one, and levels that only
+    // get collectables from magic walls are not won before the first one
+    if (
+      this.#exits.length === 0 &&
+      this.collectablesRemaining === 0 &&
+      this.#updatedTiles.size === 0 && (
+        this.#magicWalls.length === 0 ||
+        this.originalCollectables + this.createdCollectables > 0
+      )
+    ) {
       return "Win";
     }
 
+    // The last move may still win while the board settles after it
+    if (this.movesRemaining === 0 && this.#updatedTiles.size === 0) {
+      return "Lose";
+    }
+
     return "In Progress";
   }
 
+  /**
+   * Adds a listener that is called for every pattern that matches
+   *
+   * @param {TraceCallback} traceCallback
+   * @returns {string} A cookie that can remove the listener later
+   */
+  addTraceListener(traceCallback) {
+    const cookie = crypto.randomUUID();
+    this.#traceCallbacks.set(cookie, traceCallback);
+    return cookie;
+  }
+
+  /**
+   * Removes a trace listener
+   *
+   * @param {string} cookie
+   */
+  removeTraceListener(cookie) {
+    this.#traceCallbacks.delete(cookie);
+  }
+
+  /**
+   * Copies the state without its undo and redo history or trace listeners
+   *
+   * @returns {State}
+   */
+  clone() {
+    const clone = new State(this.originalBoard, {
+      gravity: this.gravity,
+      maxMoves: this.maxMoves,
+    });
+    clone.board = this.board.clone();
+    clone.#updatedTiles = new Set(this.#updatedTiles);
+    clone.#enemyUpdatedTiles = new Set(this.#enemyUpdatedTiles);
+    clone.ticks = this.ticks;
+    clone.activeTicks = this.activeTicks;
+    clone.createdCollectables = this.createdCollectables;
+    clone.inputs = this.inputs.slice();
+    return clone;
+  }
+
+  get canUndo() {
+    return this.#undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.#redoStack.length > 0;
+  }
+
   reset() {
     this.board = this.originalBoard.clone();
+    this.ticks = 0;
+    this.activeTicks = 0;
+    this.createdCollectables = 0;
+    this.inputs = [];
+    this.#undoStack = [];
+    this.#redoStack = [];
     this.#updateEntireBoard();
   }
 
+  /**
+   * Rewinds the most recent player move along with every update that
+   * followed it
+   *
+   * @returns {boolean} Whether there was a move to undo
+   */
+  undo() {
+    const snapshot = this.#undoStack.pop();
+    if (!snapshot) {
+      return false;
+    }
+
+    this.#redoStack.push(this.#takeSnapshot());
+    this.#restoreSnapshot(snapshot);
+    return true;
+  }
+
+  /**
+   * Replays the most recently undone player move
+   *
+   * @returns {boolean} Whether there was a move to redo
+   */
+  redo() {
+    const snapshot = this.#redoStack.pop();
+    if (!snapshot) {
+      return false;
+    }
+
+    this.#undoStack.push(this.#takeSnapshot());
+    this.#restoreSnapshot(snapshot);
+    return true;
+  }
+
+  /**
+   * @returns {Snapshot}
+   */
+  #takeSnapshot() {
+    return {
+      board: this.board.clone(),
+      updatedTiles: new Set(this.#updatedTiles),
+      enemyUpdatedTiles: new Set(this.#enemyUpdatedTiles),
+      ticks: this.ticks,
+      activeTicks: this.activeTicks,
+      createdCollectables: this.createdCollectables,
+      inputs: this.inputs.slice(),
+    };
+  }
+
+  /**
+   * @param {Snapshot} snapshot
+   */
+  #restoreSnapshot(snapshot) {
+    this.board = snapshot.board;
+    this.#updatedTiles = snapshot.updatedTiles;
+    this.#enemyUpdatedTiles = snapshot.enemyUpdatedTiles;
+    this.ticks = snapshot.ticks;
+    this.activeTicks = snapshot.activeTicks;
+    this.createdCollectables = snapshot.createdCollectables;
+    this.inputs = snapshot.inputs;
+  }
+
   /**
    * @param {Point} pt
+   * @param {Set<number>} [updatedTiles] The set to add the tile to
    */
-  #addUpdatedTile(pt) {
-    if (
-      this.board.isInBounds(pt) &&
-      this.updatedTiles.every(
-        point => point[0] !== pt[0] || point[1] !== pt[1]
-      )
-    ) {
-      this.updatedTiles.push(pt);
+  #addUpdatedTile(pt, updatedTiles = this.#updatedTiles) {
+    if (this.board.isInBounds(pt)) {
+      updatedTiles.add(pt[0] + pt[1] * this.board.width);
     }
   }
 
   #updateEntireBoard() {
-    this.updatedTiles = [];
+    this.#updatedTiles = new Set();
+    this.#enemyUpdatedTiles = new Set();
+
+    for (let index = this.board.tiles.length - 1; index >= 0; --index) {
+      this.#updatedTiles.add(index);
+    }
+  }
+
+  /**
+   * Only updated tiles are marked as just updated so only they are cleared
+   *
+   * @param {Point[]} updatedPoints
+   */
+  #clearJustUpdated(updatedPoints) {
+    for (const pt of updatedPoints) {
+      this.board.getTile(pt).justUpdated = false;
+    }
+  }
+
+  /**
+   * Finds the enemies on the board
+   *
+   * @returns {Set<number>} The indices of the enemies
+   */
+  #findEnemies() {
+    /** @type {Set<number>} */
+    const enemies = new Set();
+    if (!this.hasEnemies) {
+      return enemies;
+    }
+
+    this.board.tiles.forEach((tile, index) => {
+      if (tile.type === "Enemy") {
+        enemies.add(index);
+      }
+    });
+
+    return enemies;
+  }
+
+  /**
+   * Gets the points to update, which always include the enemies so they keep
+   * moving
+   *
+   * @param {Set<number>} enemies
+   * @returns {Point[]}
+   */
+  #getPointsToUpdate(enemies) {
+    const indices = new Set([
+      ...this.#updatedTiles,
+      ...this.#enemyUpdatedTiles,
+    ]);
+
+    for (const index of enemies) {
+      const x = index % this.board.width;
+      const y = Math.floor(index / this.board.width);
 
-    for (let y = this.board.height - 1; y >= 0; --y) {
-      for (let x = this.board.width - 1; x >= 0; --x) {
-        this.updatedTiles.push([x, y]);
+      for (const [dx, dy] of this.#enemyOffsets) {
+        this.#addUpdatedTile([x + dx, y + dy], indices);
       }
     }
+
+    return [...indices].map(
+      index => [index % this.board.width, Math.floor(index / this.board.width)]
+    );
   }
 
-  #clearJustUpdated() {
-    for (let y = 0; y < this.board.height; ++y) {
-      for (let x = 0; x < this.board.width; ++x) {
-        this.board.getTile([x, y]).justUpdated = false;
+  /**
+   * Finds the teleporters that living players are on
+   *
+   * @returns {Set<number>} The indices of the teleporters
+   */
+  #findOccupiedTeleporters() {
+    /** @type {Set<number>} */
+    const occupied = new Set();
+
+    for (const points of this.#teleporters.values()) {
+      for (const pt of points) {
+        if (isLivingPlayer(this.board.getTile(pt))) {
+          occupied.add(pt[0] + pt[1] * this.board.width);
+        }
       }
     }
+
+    return occupied;
+  }
+
+  /**
+   * Moves the players that stepped onto a teleporter to the next teleporter on
+   * its channel, as long as that teleporter is empty. Teleporting is not
+   * expressible as a pattern because the teleporters can be anywhere.
+   *
+   * @param {Set<number>} occupied The teleporters that players were on before
+   * the update, which gains the teleporters players are moved to
+   * @param {PatternMatchCallback} [onMatch] Called after each teleport
+   * @returns {Point[]} The points that were updated
+   */
+  #teleportPlayers(occupied, onMatch) {
+    /** @type {Point[]} */
+    const updatedPoints = [];
+
+    for (const points of this.#teleporters.values()) {
+      points.forEach((entrance, index) => {
+        const player = this.board.getTile(entrance);
+        if (
+          player.type !== "Player" ||
+          !player.isAlive ||
+          occupied.has(entrance[0] + entrance[1] * this.board.width)
+        ) {
+          return;
+        }
+
+        const exit = points[(index + 1) % points.length];
+        const exitTile = this.board.getTile(exit);
+        if (
+          exit === entrance ||
+          exitTile.type !== "Empty" ||
+          exitTile.keyColor !== "None"
+        ) {
+          return;
+        }
+
+        this.board.setTile(exit, {
+          type: "Player",
+          isAlive: true,
+          inputDirection: player.inputDirection,
+          keys: player.keys,
+          justUpdated: true,
+          conveyorDirection: exitTile.conveyorDirection,
+          keyColor: "None",
+          ...getFloorDevices(exitTile),
+        });
+        this.board.setTile(entrance, {
+          type: "Empty",
+          justUpdated: true,
+          conveyorDirection: player.conveyorDirection,
+          keyColor: player.keyColor,
+          ...getFloorDevices(player),
+        });
+        occupied.add(exit[0] + exit[1] * this.board.width);
+
+        updatedPoints.push(entrance, exit);
+        onMatch?.({
+          point: entrance,
+          description: TELEPORT_DESCRIPTION,
+          updatedPoints: [entrance, exit],
+        });
+      });
+    }
+
+    return updatedPoints;
+  }
+
+  /**
+   * Opens the closed exits once every collectable is collected
+   *
+   * @param {PatternMatchCallback} [onMatch] Called for each exit that opens
+   * @returns {Point[]} The points that were updated
+   */
+  #openExits(onMatch) {
+    if (this.collectablesRemaining > 0) {
+      return [];
+    }
+
+    /** @type {Point[]} */
+    const updatedPoints = [];
+
+    for (const pt of this.#exits) {
+      const tile = this.board.getTile(pt);
+      if (tile.type !== "Exit" || tile.status !== "Closed") {
+        continue;
+      }
+
+      this.board.setTile(pt, { ...tile, status: "Open", justUpdated: true });
+
+      updatedPoints.push(pt);
+      onMatch?.({
+        point: pt,
+        description: OPEN_EXIT_DESCRIPTION,
+        updatedPoints: [pt],
+      });
+    }
+
+    return updatedPoints;
+  }
+
+  /**
+   * Opens the toggle walls of channels with a player or rock on any of their
+   * plates and closes the rest. Toggle walls with something in them stay open
+   * until it leaves.
+   *
+   * @param {PatternMatchCallback} [onMatch] Called for each toggle wall that
+   * opens or closes
+   * @returns {Point[]} The points that were updated
+   */
+  #updateToggleWalls(onMatch) {
+    /** @type {Point[]} */
+    const updatedPoints = [];
+
+    for (const [channel, points] of this.#toggleWalls) {
+      const isPressed = (this.#plates.get(channel) ?? []).some(pt => {
+        const tile = this.board.getTile(pt);
+        return tile.type === "Player" || tile.type === "Rock";
+      });
+
+      for (const pt of points) {
+        const tile = this.board.getTile(pt);
+
+        /** @type {string} */
+        let description;
+        if (isPressed && tile.type === "ToggleWall") {
+          this.board.setTile(pt, {
+            type: "Empty",
+            justUpdated: true,
+            conveyorDirection: "None",
+            keyColor: "None",
+            toggleWallChannel: channel,
+          });
+          description = OPEN_TOGGLE_WALL_DESCRIPTION;
+        } else if (
+          !isPressed &&
+          tile.type === "Empty" &&
+          tile.keyColor === "None"
+        ) {
+          this.board.setTile(pt, {
+            type: "ToggleWall",
+            channel,
+            justUpdated: true,
+            conveyorDirection: "None",
+            keyColor: "None",
+          });
+          description = CLOSE_TOGGLE_WALL_DESCRIPTION;
+        } else {
+          continue;
+        }
+
+        updatedPoints.push(pt);
+        onMatch?.({ point: pt, description, updatedPoints: [pt] });
+      }
+    }
+
+    return updatedPoints;
+  }
+
+  /**
+   * Counts down the ticks of active magic walls, expiring the ones that run
+   * out. Walls count down on every tick but only the ones that expire are
+   * updated, so active walls do not keep the board from settling.
+   *
+   * @returns {Point[]} The magic walls that expired
+   */
+  #updateMagicWalls() {
+    /** @type {Point[]} */
+    const updated = [];
+
+    for (const pt of this.#magicWalls) {
+      const tile = this.board.getTile(pt);
+      if (tile.type !== "MagicWall" || tile.status !== "Active") {
+        continue;
+      }
+
+      const ticksRemaining = Math.max(tile.ticksRemaining - 1, 0);
+      this.board.setTile(pt, {
+        ...tile,
+        status: ticksRemaining === 0 ? "Expired" : "Active",
+        ticksRemaining,
+      });
+
+      if (ticksRemaining === 0) {
+        updated.push(pt);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Counts the collectables made by the last update. Collectables never move,
+   * unlike falling collectables, so any collectable that was just updated was
+   * just made.
+   *
+   * @param {Point[]} updatedPoints
+   */
+  #countCreatedCollectables(updatedPoints) {
+    const created = new Set(
+      updatedPoints.
+        filter(pt => {
+          const tile = this.board.getTile(pt);
+          return tile.type === "Collectable" && tile.justUpdated;
+        }).
+        map(pt => pt[0] + pt[1] * this.board.width)
+    );
+
+    this.createdCollectables += created.size;
   }
 
   applyUpdates() {
+    const tick = this.ticks;
+
+    /** @type {PatternMatchCallback | undefined} */
+    const onMatch = this.#traceCallbacks.size > 0 ?
+      match => this.#traceCallbacks.forEach(
+        callback => callback({ ...match, tick })
+      ) :
+      undefined;
+
+    const enemies = this.#findEnemies();
+    const occupiedTeleporters = this.#findOccupiedTeleporters();
+    const magicWalls = this.#updateMagicWalls();
     const updatedPoints = applyPatternTileUpdates(
       this.board,
-      this.updatedTiles
+      this.#getPointsToUpdate(enemies),
+      onMatch,
+      this.gravity
+    );
+    this.#countCreatedCollectables(updatedPoints);
+    updatedPoints.push(
+      ...this.#teleportPlayers(occupiedTeleporters, onMatch),
+      ...this.#openExits(onMatch),
+      ...this.#updateToggleWalls(onMatch),
+      ...magicWalls
     );
 
-    this.updatedTiles = [];
-    this.#clearJustUpdated();
+    this.#updatedTiles = new Set();
+    this.#enemyUpdatedTiles = new Set();
+    this.#clearJustUpdated(updatedPoints);
+    ++this.ticks;
+    let isActive = false;
     for (const pt of updatedPoints) {
-      this.#tileChanged(pt);
+      const tile = this.board.getTile(pt);
+      const isEnemyMove = tile.type === "Enemy" || (
+        tile.type === "Empty" &&
+        enemies.has(pt[0] + pt[1] * this.board.width)
+      );
+
+      if (isEnemyMove) {
+        this.#tileChanged(pt, this.#enemyUpdatedTiles);
+        this.#enemyMoved(pt);
+      } else {
+        this.#tileChanged(pt);
+        isActive = true;
+      }
+    }
+
+    if (isActive) {
+      ++this.activeTicks;
     }
 
     return updatedPoints;
   }
 
   /**
-   * Marks a tile as changed by adding it and all relevant tiles to the set of
-   * tiles to update
+   * Marks the tiles an enemy move affects besides enemies, which are the
+   * tiles that can move into a tile the enemy left and the players next to
+   * the enemy, so the board only settles after they react
    *
-   * @param {Point} pt
+   * @param {Point} pt The tile the enemy moved to or from
    */
-  #tileChanged(pt) {
-    // The point is considered to be the center of the third row of the pattern
-    // triangle. All other tiles in that shape are added
-    this.#addUpdatedTile([pt[0], pt[1] - 2]);
+  #enemyMoved(pt) {
+    const tile = this.board.getTile(pt);
+    const [offsets, isAffected] = tile.type === "Empty" ?
+      [
+        this.#vacatedOffsets,
+        (/** @type {Tile} */ other) => VACATED_MOVER_TYPES.includes(other.type),
+      ] :
+      [
+        NEIGHBOR_OFFSETS,
+        (/** @type {Tile} */ other) => other.type === "Player" && other.isAlive,
+      ];
+
+    for (const [dx, dy] of offsets) {
+      /** @type {Point} */
+      const neighbor = [pt[0] + dx, pt[1] + dy];
+      if (
+        this.board.isInBounds(neighbor) &&
+        isAffected(this.board.getTile(neighbor))
+      ) {
+        this.#tileChanged(neighbor);
+      }
+    }
+  }
 
-    this.#addUpdatedTile([pt[0] - 1, pt[1] - 1]);
-    this.#addUpdatedTile([pt[0], pt[1] - 1]);
-    this.#addUpdatedTile([pt[0] + 1, pt[1] - 1]);
+  /**
+   * Applies updates until there are no tiles left to update
+   *
+   * Tiles that only need an update because an enemy moved near them do not
+   * count, or boards with enemies would never settle, unless they can react
+   * to the enemy, such as a rock an enemy stops holding up.
+   *
+   * @param {number} [maxTicks] The most updates to apply
+   * @returns {boolean} Whether the board settled
+   */
+  settle(maxTicks = Infinity) {
+    for (
+      let tick = 0;
+      tick < maxTicks && this.#updatedTiles.size > 0;
+      ++tick
+    ) {
+      this.applyUpdates();
+    }
 
-    this.#addUpdatedTile([pt[0] - 2, pt[1]]);
-    this.#addUpdatedTile([pt[0] - 1, pt[1]]);
-    this.#addUpdatedTile(pt);
-    this.#addUpdatedTile([pt[0] + 1, pt[1]]);
-    this.#addUpdatedTile([pt[0] + 2, pt[1]]);
+    return this.#updatedTiles.size === 0;
+  }
 
-    this.#addUpdatedTile([pt[0] - 1, pt[1] + 1]);
-    this.#addUpdatedTile([pt[0], pt[1] + 1]);
-    this.#addUpdatedTile([pt[0] + 1, pt[1] + 1]);
+  /**
+   * Marks a tile as changed by adding it and all relevant tiles to the set of
+   * tiles to update
+   *
+   * @param {Point} pt
+   * @param {Set<number>} [updatedTiles] The set to add the tiles to
+   */
+  #tileChanged(pt, updatedTiles = this.#updatedTiles) {
+    for (const [dx, dy] of this.#changedOffsets) {
+      this.#addUpdatedTile([pt[0] + dx, pt[1] + dy], updatedTiles);
+    }
   }
 
   /**
-   * Moves all living players in the given direction
+   * Moves all living players in the given direction. Moves past the move
+   * limit are ignored.
    *
    * @param {InputDirection} inputDirection
    * @returns {Point[]} The points that were updated
    */
   movePlayers(inputDirection) {
+    if (this.movesRemaining === 0) {
+      return [];
+    }
+
+    this.#undoStack.push(this.#takeSnapshot());
+    this.#redoStack = [];
+    this.inputs.push({ tick: this.ticks, inputDirection });
+
     /** @type {Point[]} */
     const updatedPoints = [];
 
@@ -1,9 +1,15 @@
 /**
+ * The floor under a tile. Conveyors move tiles in their direction and tiles
+ * that move onto ice keep sliding. Tiles can also be on a teleporter, which
+ * has a single digit channel shared with its exits, on a pressure plate or on
+ * an open toggle wall, which share a single digit channel with each other.
+ *
  * @typedef {(
  *  "Down" |
  *  "Left" |
  *  "Right" |
  *  "Up" |
+ *  "Ice" |
  *  "None"
  * )} ConveyorDirection
  *
@@ -15,22 +21,35 @@
  *   "Yellow"
  * )} KeyColor
  *
+ * The number of keys of each color a player holds, without colors they hold
+ * none of
+ *
+ * @typedef {Partial<Record<Exclude<KeyColor, "None">, number>>} KeyInventory
+ *
  * @typedef GenericTile
- * @property {"Empty" | "Wall" | "Collectable"} type
+ * @property {"Empty" | "Wall" | "IndestructibleWall" | "Collectable"} type
  * @property {boolean} justUpdated
  * @property {ConveyorDirection} conveyorDirection
  * @property {KeyColor} keyColor
+ * @property {string} [teleporterChannel]
+ * @property {string} [plateChannel]
+ * @property {string} [toggleWallChannel]
+ *
+ * @typedef {Exclude<ConveyorDirection, "Ice">} InputDirection
  *
- * @typedef {ConveyorDirection} InputDirection
+ * Living players pick up every key they move onto
  *
  * @typedef LivingPlayerTile
  * @property {"Player"} type
  * @property {true} isAlive
  * @property {InputDirection} inputDirection
- * @property {KeyColor} excessKey
+ * @property {KeyInventory} keys
  * @property {boolean} justUpdated
  * @property {ConveyorDirection} conveyorDirection
  * @property {KeyColor} keyColor
+ * @property {string} [teleporterChannel]
+ * @property {string} [plateChannel]
+ * @property {string} [toggleWallChannel]
  *
  * @typedef DeadPlayerTile
  * @property {"Player"} type
@@ -38,6 +57,9 @@
  * @property {boolean} justUpdated
  * @property {ConveyorDirection} conveyorDirection
  * @property {KeyColor} keyColor
+ * @property {string} [teleporterChannel]
+ * @property {string} [plateChannel]
+ * @property {string} [toggleWallChannel]
  *
  * @typedef {DeadPlayerTile | LivingPlayerTile} PlayerTile
  *
@@ -51,12 +73,37 @@
  *  "None"
  * )} Direction
  *
+ * Rocks pushed onto ice slide left or right
+ *
  * @typedef RockTile
  * @property {"Rock"} type
+ * @property {(
+ *  "Down" |
+ *  "DownLeft" |
+ *  "DownRight" |
+ *  "Left" |
+ *  "Right" |
+ *  "None"
+ * )} fallingDirection
+ * @property {boolean} justUpdated
+ * @property {ConveyorDirection} conveyorDirection
+ * @property {KeyColor} keyColor
+ * @property {string} [teleporterChannel]
+ * @property {string} [plateChannel]
+ * @property {string} [toggleWallChannel]
+ *
+ * Falling collectables fall and roll like rocks but are collected like other
+ * collectables
+ *
+ * @typedef FallingCollectableTile
+ * @property {"FallingCollectable"} type
  * @property {"Down" | "DownLeft" | "DownRight" | "None"} fallingDirection
  * @property {boolean} justUpdated
  * @property {ConveyorDirection} conveyorDirection
  * @property {KeyColor} keyColor
+ * @property {string} [teleporterChannel]
+ * @property {string} [plateChannel]
+ * @property {string} [toggleWallChannel]
  *
  * @typedef {(
  *  "Down" |
@@ -71,6 +118,21 @@
  * @property {boolean} justUpdated
  * @property {ConveyorDirection} conveyorDirection
  * @property {KeyColor} keyColor
+ * @property {string} [teleporterChannel]
+ * @property {string} [plateChannel]
+ * @property {string} [toggleWallChannel]
+ *
+ * Lava flows like water, turns water it meets into rock and burns dirt away
+ *
+ * @typedef LavaTile
+ * @property {"Lava"} type
+ * @property {FlowDirection | "All"} flowDirection
+ * @property {boolean} justUpdated
+ * @property {ConveyorDirection} conveyorDirection
+ * @property {KeyColor} keyColor
+ * @property {string} [teleporterChannel]
+ * @property {string} [plateChannel]
+ * @property {string} [toggleWallChannel]
  *
  * @typedef DirtTile
  * @property {"Dirt"} type
@@ -78,6 +140,9 @@
  * @property {boolean} justUpdated
  * @property {ConveyorDirection} conveyorDirection
  * @property {KeyColor} keyColor
+ * @property {string} [teleporterChannel]
+ * @property {string} [plateChannel]
+ * @property {string} [toggleWallChannel]
  *
  * @typedef DoorTile
  * @property {"Door"} type
@@ -86,15 +151,178 @@
  * @property {"None"} conveyorDirection
  * @property {"None"} keyColor
  *
+ * Players can only pass through a gate in its direction
+ *
+ * @typedef GateTile
+ * @property {"Gate"} type
+ * @property {Exclude<InputDirection, "None">} direction
+ * @property {boolean} justUpdated
+ * @property {"None"} conveyorDirection
+ * @property {"None"} keyColor
+ *
+ * Enemies patrol by following the wall on one side of them
+ *
+ * @typedef EnemyTile
+ * @property {"Enemy"} type
+ * @property {"Left" | "Right"} hand The side of the wall the enemy follows
+ * @property {Exclude<InputDirection, "None">} facingDirection
+ * @property {boolean} justUpdated
+ * @property {ConveyorDirection} conveyorDirection
+ * @property {KeyColor} keyColor
+ * @property {string} [teleporterChannel]
+ * @property {string} [plateChannel]
+ * @property {string} [toggleWallChannel]
+ *
+ * A lit bomb explodes on the next update
+ *
+ * @typedef BombTile
+ * @property {"Bomb"} type
+ * @property {boolean} isLit
+ * @property {boolean} justUpdated
+ * @property {ConveyorDirection} conveyorDirection
+ * @property {KeyColor} keyColor
+ * @property {string} [teleporterChannel]
+ * @property {string} [plateChannel]
+ * @property {string} [toggleWallChannel]
+ *
+ * Exits open once every collectable is collected and are entered by players
+ * walking into them
+ *
+ * @typedef ExitTile
+ * @property {"Exit"} type
+ * @property {"Closed" | "Open" | "Entered"} status
+ * @property {boolean} justUpdated
+ * @property {ConveyorDirection} conveyorDirection
+ * @property {KeyColor} keyColor
+ * @property {string} [teleporterChannel]
+ * @property {string} [plateChannel]
+ * @property {string} [toggleWallChannel]
+ *
+ * An explosion starts with 3 ticks remaining where the bomb was and 2 around
+ * it, and clears once they run out
+ *
+ * @typedef ExplosionTile
+ * @property {"Explosion"} type
+ * @property {1 | 2 | 3} ticksRemaining
+ * @property {boolean} justUpdated
+ * @property {ConveyorDirection} conveyorDirection
+ * @property {KeyColor} keyColor
+ * @property {string} [teleporterChannel]
+ * @property {string} [plateChannel]
+ * @property {string} [toggleWallChannel]
+ *
+ * Magic walls turn rocks that fall onto them into collectables below them.
+ * They start dormant, stay active for their ticks remaining once a rock
+ * first falls onto them and then expire into plain walls. Each wall stores
+ * its own active ticks in the level's board, which is how levels configure
+ * them.
+ *
+ * @typedef MagicWallTile
+ * @property {"MagicWall"} type
+ * @property {"Dormant" | "Active" | "Expired"} status
+ * @property {number} ticksRemaining
+ * @property {boolean} justUpdated
+ * @property {"None"} conveyorDirection
+ * @property {"None"} keyColor
+ *
+ * Toggle walls are open while a player or rock is on any plate on their
+ * channel. Open toggle walls are part of the floor.
+ *
+ * @typedef ToggleWallTile
+ * @property {"ToggleWall"} type
+ * @property {string} channel
+ * @property {boolean} justUpdated
+ * @property {"None"} conveyorDirection
+ * @property {"None"} keyColor
+ *
+ * Cracked walls break after their hits remaining from falling rocks, which
+ * stop on them instead of rolling off
+ *
+ * @typedef CrackedWallTile
+ * @property {"CrackedWall"} type
+ * @property {1 | 2} hitsRemaining
+ * @property {boolean} justUpdated
+ * @property {"None"} conveyorDirection
+ * @property {"None"} keyColor
+ *
  * @typedef {(
+ *  BombTile |
+ *  CrackedWallTile |
  *  DirtTile |
  *  DoorTile |
+ *  EnemyTile |
+ *  ExitTile |
+ *  ExplosionTile |
+ *  FallingCollectableTile |
+ *  GateTile |
  *  GenericTile |
+ *  LavaTile |
+ *  MagicWallTile |
  *  PlayerTile |
  *  RockTile |
+ *  ToggleWallTile |
  *  WaterTile
  * )} Tile
+ *
+ * @typedef {(
+ *  Exclude<
+ *    Tile,
+ *    CrackedWallTile | DoorTile | GateTile | MagicWallTile | ToggleWallTile
+ *  >
+ * )} FloorTile
+ *
+ * @typedef {"teleporterChannel" | "plateChannel" | "toggleWallChannel"} FloorDevice
+ */
+
+/**
+ * The floor devices in encoding order with the character that starts each
+ *
+ * @type {[FloorDevice, string, string][]}
+ */
+const FLOOR_DEVICES = [
+  ["teleporterChannel", "T", "teleporter"],
+  ["plateChannel", "S", "plate"],
+  ["toggleWallChannel", "h", "toggle wall"],
+];
+
+/**
+ * Whether a tile is on a floor, which can hold keys and devices. Doors, gates,
+ * cracked walls, magic walls and closed toggle walls fill their whole space.
+ *
+ * @param {Tile} tile
+ * @returns {tile is FloorTile}
+ */
+export function hasFloor(tile) {
+  return tile.type !== "CrackedWall" &&
+    tile.type !== "Door" &&
+    tile.type !== "Gate" &&
+    tile.type !== "MagicWall" &&
+    tile.type !== "ToggleWall";
+}
+
+/**
+ * Gets the devices in the floor under a tile, which stay in place when the
+ * tile moves
+ *
+ * @param {Tile} tile
+ * @returns {Partial<Record<FloorDevice, string>>}
  */
+export function getFloorDevices(tile) {
+  if (!hasFloor(tile)) {
+    return {};
+  }
+
+  /** @type {Partial<Record<FloorDevice, string>>} */
+  const devices = {};
+  for (const [device] of FLOOR_DEVICES) {
+    const channel = tile[device];
+    if (channel !== undefined) {
+      devices[device] = channel;
+    }
+  }
+
+  return devices;
+}
 
 /**
  * Appends the conveyor direction to an encoded tile
@@ -108,6 +336,9 @@ function appendConveyorDirection(conveyorDirection, encoded) {
     case "Down":
       return encoded + "v";
 
+    case "Ice":
+      return encoded + "*";
+
     case "Left":
       return encoded + "<";
 
@@ -143,6 +374,11 @@ function decodeConveyorDirection(chars, index) {
       ++nextIndex;
       break;
 
+    case "*":
+      conveyorDirection = "Ice";
+      ++nextIndex;
+      break;
+
     case "<":
       conveyorDirection = "Left";
       ++nextIndex;
@@ -234,6 +470,60 @@ function decodeKeyColor(chars, index) {
   };
 }
 
+/**
+ * The key colors in encoding order
+ *
+ * @type {Exclude<KeyColor, "None">[]}
+ */
+export const KEY_COLORS = ["Blue", "Green", "Red", "Yellow"];
+
+/**
+ * Appends a key inventory to an encoded tile, repeating each key color once
+ * per key
+ *
+ * @param {KeyInventory} keys
+ * @param {string} encoded
+ * @returns {string}
+ */
+function appendKeyInventory(keys, encoded) {
+  return KEY_COLORS.reduce(
+    (appended, keyColor) => {
+      for (let count = 0; count < (keys[keyColor] ?? 0); ++count) {
+        appended = appendKeyColor(keyColor, appended);
+      }
+
+      return appended;
+    },
+    encoded
+  );
+}
+
+/**
+ * Decodes a key inventory from an array of characters
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {{ keys: KeyInventory, nextIndex: number }}
+ */
+function decodeKeyInventory(chars, index) {
+  /** @type {KeyInventory} */
+  const keys = {};
+  let nextIndex = index;
+
+  for (;;) {
+    const decodedKeyColor = decodeKeyColor(chars, nextIndex);
+    if (decodedKeyColor.keyColor === "None") {
+      break;
+    }
+
+    keys[decodedKeyColor.keyColor] =
+      (keys[decodedKeyColor.keyColor] ?? 0) + 1;
+    nextIndex = decodedKeyColor.nextIndex;
+  }
+
+  return { keys, nextIndex };
+}
+
 /**
  * Encodes a generic tile
  *
@@ -252,6 +542,10 @@ function encodeGenericTile(tile) {
       encoded = " ";
       break;
 
+    case "IndestructibleWall":
+      encoded = "I";
+      break;
+
     case "Wall":
       encoded = "W";
       break;
@@ -281,6 +575,10 @@ function decodeGenericTile(chars, index) {
       tile = { type: "Collectable", justUpdated: false };
       break;
 
+    case "I":
+      tile = { type: "IndestructibleWall", justUpdated: false };
+      break;
+
     case "W":
       tile = { type: "Wall", justUpdated: false };
       break;
@@ -306,6 +604,62 @@ function decodeGenericTile(chars, index) {
   };
 }
 
+/**
+ * Encodes a bomb tile
+ *
+ * @param {BombTile} tile
+ * @returns {string}
+ */
+function encodeBombTile(tile) {
+  return appendKeyColor(
+    tile.keyColor,
+    appendConveyorDirection(
+      tile.conveyorDirection,
+      tile.isLit ? "B!" : "B."
+    )
+  );
+}
+
+/**
+ * Decodes a bomb tile from an array of characters
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {{ tile: BombTile, nextIndex: number }}
+ */
+function decodeBombTile(chars, index) {
+  const status = chars[index + 1];
+
+  /** @type {boolean} */
+  let isLit;
+  switch (status) {
+    case "!":
+      isLit = true;
+      break;
+
+    case ".":
+      isLit = false;
+      break;
+
+    default:
+      throw new Error(`Unexpected bomb status ${status} at ${index + 1}`);
+  }
+
+  const decodedConveyorDirection = decodeConveyorDirection(chars, index + 2);
+  const decodedKeyColor = decodeKeyColor(chars, decodedConveyorDirection.nextIndex);
+
+  return {
+    tile: {
+      type: "Bomb",
+      isLit,
+      justUpdated: false,
+      conveyorDirection: decodedConveyorDirection.conveyorDirection,
+      keyColor: decodedKeyColor.keyColor,
+    },
+    nextIndex: decodedKeyColor.nextIndex,
+  };
+}
+
 /**
  * Encodes a dirt tile
  *
@@ -446,128 +800,543 @@ function decodeDoorTile(chars, index) {
 }
 
 /**
- * Encodes a player tile
+ * Encodes an enemy tile
  *
- * @param {PlayerTile} tile
+ * @param {EnemyTile} tile
  * @returns {string}
  */
-function encodePlayerTile(tile) {
-  /** @type {string} */
-  let encoded;
-  if (tile.isAlive) {
-    encoded = appendKeyColor(tile.excessKey, "Pa");
-    switch (tile.inputDirection) {
-      case "Down":
-        encoded = `${encoded}v`;
-        break;
-
-      case "Left":
-        encoded = `${encoded}<`;
-        break;
-
-      case "None":
-        encoded = `${encoded}.`;
-        break;
-
-      case "Right":
-        encoded = `${encoded}>`;
-        break;
-
-      case "Up":
-        encoded = `${encoded}^`;
-        break;
-    }
-  } else {
-    encoded = "Pd";
-  }
-
+function encodeEnemyTile(tile) {
   return appendKeyColor(
     tile.keyColor,
     appendConveyorDirection(
       tile.conveyorDirection,
-      encoded
+      appendConveyorDirection(
+        tile.facingDirection,
+        tile.hand === "Left" ? "Nl" : "Nr"
+      )
     )
   );
 }
 
 /**
- * Decodes an input direction from an array of characters
+ * Decodes an enemy tile from an array of characters
  *
  * @param {string[]} chars
  * @param {number} index The index in the array to decode from
- * @returns {InputDirection}}
+ * @returns {{ tile: EnemyTile, nextIndex: number }}
  */
-function decodeInputDirection(chars, index) {
-  switch (chars[index]) {
-    case "v":
-      return "Down";
-
-    case "<":
-      return "Left";
-
-    case ">":
-      return "Right";
-
-    case "^":
-      return "Up";
+function decodeEnemyTile(chars, index) {
+  /** @type {EnemyTile["hand"]} */
+  let hand;
+  switch (chars[index + 1]) {
+    case "l":
+      hand = "Left";
+      break;
 
-    case ".":
-      return "None";
+    case "r":
+      hand = "Right";
+      break;
 
     default:
       throw new Error(
-        `Unexpected input direction ${chars[index]} at ${index}`
+        `Unexpected enemy hand ${chars[index + 1]} at ${index + 1}`
       );
   }
+
+  const decodedFacingDirection = decodeConveyorDirection(chars, index + 2);
+  const facingDirection = decodedFacingDirection.conveyorDirection;
+  if (facingDirection === "Ice" || facingDirection === "None") {
+    throw new Error(
+      `Unexpected facing direction ${chars[index + 2]} at ${index + 2}`
+    );
+  }
+
+  const decodedConveyorDirection =
+    decodeConveyorDirection(chars, decodedFacingDirection.nextIndex);
+  const decodedKeyColor =
+    decodeKeyColor(chars, decodedConveyorDirection.nextIndex);
+
+  return {
+    tile: {
+      type: "Enemy",
+      hand,
+      facingDirection,
+      justUpdated: false,
+      conveyorDirection: decodedConveyorDirection.conveyorDirection,
+      keyColor: decodedKeyColor.keyColor,
+    },
+    nextIndex: decodedKeyColor.nextIndex,
+  };
 }
 
 /**
- * Decodes a player tile from an array of characters
+ * Encodes a gate tile
+ *
+ * @param {GateTile} tile
+ * @returns {string}
+ */
+function encodeGateTile(tile) {
+  return appendConveyorDirection(tile.direction, "G");
+}
+
+/**
+ * Decodes a gate tile from an array of characters
  *
  * @param {string[]} chars
  * @param {number} index The index in the array to decode from
- * @returns {(
- *  {
- *    tile: LivingPlayerTile,
- *    nextIndex: number
- *  } |
- *  {
- *    tile: DeadPlayerTile,
- *    nextIndex: number
- *  }
- * )}
+ * @returns {{ tile: GateTile, nextIndex: number }}
  */
-function decodePlayerTile(chars, index) {
-  const status = chars[index + 1];
+function decodeGateTile(chars, index) {
+  const decodedDirection = decodeConveyorDirection(chars, index + 1);
+  const direction = decodedDirection.conveyorDirection;
+  if (direction === "Ice" || direction === "None") {
+    throw new Error(
+      `Unexpected gate direction ${chars[index + 1]} at ${index + 1}`
+    );
+  }
 
-  /**
-   * @type {boolean}
-   */
-  let isAlive;
-  switch (status) {
-    case "a":
-      isAlive = true;
+  return {
+    tile: {
+      type: "Gate",
+      direction,
+      justUpdated: false,
+      conveyorDirection: "None",
+      keyColor: "None",
+    },
+    nextIndex: decodedDirection.nextIndex,
+  };
+}
+
+/**
+ * Encodes a magic wall tile
+ *
+ * @param {MagicWallTile} tile
+ * @returns {string}
+ */
+function encodeMagicWallTile(tile) {
+  /** @type {string} */
+  let status;
+  switch (tile.status) {
+    case "Active":
+      status = "!";
       break;
 
-    case "d":
-      isAlive = false;
+    case "Dormant":
+      status = ".";
       break;
 
-    default:
-      throw new Error(`Unexpected player status ${status} at ${index + 1}`);
+    case "Expired":
+      status = "x";
+      break;
   }
 
-  if (isAlive) {
-    const decodedExcessKey = decodeKeyColor(chars, index + 2);
-    const inputDirection = decodeInputDirection(
-      chars,
-      decodedExcessKey.nextIndex
-    );
-    const decodedConveyorDirection = decodeConveyorDirection(
+  return `M${tile.ticksRemaining}${status}`;
+}
+
+/**
+ * Decodes a magic wall tile from an array of characters
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {{ tile: MagicWallTile, nextIndex: number }}
+ */
+function decodeMagicWallTile(chars, index) {
+  let nextIndex = index + 1;
+  let ticksRemaining = 0;
+  for (; /^\d$/.test(chars[nextIndex] ?? ""); ++nextIndex) {
+    ticksRemaining = (ticksRemaining * 10) + Number(chars[nextIndex]);
+  }
+
+  if (nextIndex === index + 1) {
+    throw new Error(
+      `Unexpected magic wall ticks ${chars[nextIndex]} at ${nextIndex}`
+    );
+  }
+
+  const status = chars[nextIndex];
+
+  /** @type {MagicWallTile["status"]} */
+  let decodedStatus;
+  switch (status) {
+    case "!":
+      decodedStatus = "Active";
+      break;
+
+    case ".":
+      decodedStatus = "Dormant";
+      break;
+
+    case "x":
+      decodedStatus = "Expired";
+      break;
+
+    default:
+      throw new Error(`Unexpected magic wall status ${status} at ${nextIndex}`);
+  }
+
+  return {
+    tile: {
+      type: "MagicWall",
+      status: decodedStatus,
+      ticksRemaining,
+      justUpdated: false,
+      conveyorDirection: "None",
+      keyColor: "None",
+    },
+    nextIndex: nextIndex + 1,
+  };
+}
+
+/**
+ * Encodes a toggle wall tile
+ *
+ * @param {ToggleWallTile} tile
+ * @returns {string}
+ */
+function encodeToggleWallTile(tile) {
+  return `H${tile.channel}`;
+}
+
+/**
+ * Decodes a toggle wall tile from an array of characters
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {{ tile: ToggleWallTile, nextIndex: number }}
+ */
+function decodeToggleWallTile(chars, index) {
+  const channel = chars[index + 1];
+  if (channel === undefined || !/^\d$/.test(channel)) {
+    throw new Error(
+      `Unexpected toggle wall channel ${channel} at ${index + 1}`
+    );
+  }
+
+  return {
+    tile: {
+      type: "ToggleWall",
+      channel,
+      justUpdated: false,
+      conveyorDirection: "None",
+      keyColor: "None",
+    },
+    nextIndex: index + 2,
+  };
+}
+
+/**
+ * Encodes a cracked wall tile
+ *
+ * @param {CrackedWallTile} tile
+ * @returns {string}
+ */
+function encodeCrackedWallTile(tile) {
+  return `K${tile.hitsRemaining}`;
+}
+
+/**
+ * Decodes a cracked wall tile from an array of characters
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {{ tile: CrackedWallTile, nextIndex: number }}
+ */
+function decodeCrackedWallTile(chars, index) {
+  const hits = chars[index + 1];
+
+  /** @type {CrackedWallTile["hitsRemaining"]} */
+  let hitsRemaining;
+  switch (hits) {
+    case "1":
+      hitsRemaining = 1;
+      break;
+
+    case "2":
+      hitsRemaining = 2;
+      break;
+
+    default:
+      throw new Error(`Unexpected cracked wall hits ${hits} at ${index + 1}`);
+  }
+
+  return {
+    tile: {
+      type: "CrackedWall",
+      hitsRemaining,
+      justUpdated: false,
+      conveyorDirection: "None",
+      keyColor: "None",
+    },
+    nextIndex: index + 2,
+  };
+}
+
+/**
+ * Encodes an exit tile
+ *
+ * @param {ExitTile} tile
+ * @returns {string}
+ */
+function encodeExitTile(tile) {
+  /** @type {string} */
+  let encoded;
+  switch (tile.status) {
+    case "Closed":
+      encoded = "O.";
+      break;
+
+    case "Entered":
+      encoded = "O@";
+      break;
+
+    case "Open":
+      encoded = "O+";
+      break;
+  }
+
+  return appendKeyColor(
+    tile.keyColor,
+    appendConveyorDirection(tile.conveyorDirection, encoded)
+  );
+}
+
+/**
+ * Decodes an exit tile from an array of characters
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {{ tile: ExitTile, nextIndex: number }}
+ */
+function decodeExitTile(chars, index) {
+  const status = chars[index + 1];
+
+  /** @type {ExitTile["status"]} */
+  let decodedStatus;
+  switch (status) {
+    case ".":
+      decodedStatus = "Closed";
+      break;
+
+    case "@":
+      decodedStatus = "Entered";
+      break;
+
+    case "+":
+      decodedStatus = "Open";
+      break;
+
+    default:
+      throw new Error(`Unexpected exit status ${status} at ${index + 1}`);
+  }
+
+  const decodedConveyorDirection = decodeConveyorDirection(chars, index + 2);
+  const decodedKeyColor = decodeKeyColor(chars, decodedConveyorDirection.nextIndex);
+
+  return {
+    tile: {
+      type: "Exit",
+      status: decodedStatus,
+      justUpdated: false,
+      conveyorDirection: decodedConveyorDirection.conveyorDirection,
+      keyColor: decodedKeyColor.keyColor,
+    },
+    nextIndex: decodedKeyColor.nextIndex,
+  };
+}
+
+/**
+ * Encodes an explosion tile
+ *
+ * @param {ExplosionTile} tile
+ * @returns {string}
+ */
+function encodeExplosionTile(tile) {
+  return appendKeyColor(
+    tile.keyColor,
+    appendConveyorDirection(
+      tile.conveyorDirection,
+      `E${tile.ticksRemaining}`
+    )
+  );
+}
+
+/**
+ * Decodes an explosion tile from an array of characters
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {{ tile: ExplosionTile, nextIndex: number }}
+ */
+function decodeExplosionTile(chars, index) {
+  const ticksRemaining = chars[index + 1];
+
+  /** @type {ExplosionTile["ticksRemaining"]} */
+  let decodedTicksRemaining;
+  switch (ticksRemaining) {
+    case "1":
+      decodedTicksRemaining = 1;
+      break;
+
+    case "2":
+      decodedTicksRemaining = 2;
+      break;
+
+    case "3":
+      decodedTicksRemaining = 3;
+      break;
+
+    default:
+      throw new Error(
+        `Unexpected ticks remaining ${ticksRemaining} at ${index + 1}`
+      );
+  }
+
+  const decodedConveyorDirection = decodeConveyorDirection(chars, index + 2);
+  const decodedKeyColor = decodeKeyColor(chars, decodedConveyorDirection.nextIndex);
+
+  return {
+    tile: {
+      type: "Explosion",
+      ticksRemaining: decodedTicksRemaining,
+      justUpdated: false,
+      conveyorDirection: decodedConveyorDirection.conveyorDirection,
+      keyColor: decodedKeyColor.keyColor,
+    },
+    nextIndex: decodedKeyColor.nextIndex,
+  };
+}
+
+/**
+ * Encodes a player tile. Living players have the key under them before their
+ * input direction and the keys they hold last, where boards from before key
+ * inventories had the excess key and the held key, so those boards still
+ * decode with the player holding its key.
+ *
+ * @param {PlayerTile} tile
+ * @returns {string}
+ */
+function encodePlayerTile(tile) {
+  if (!tile.isAlive) {
+    return appendKeyColor(
+      tile.keyColor,
+      appendConveyorDirection(
+        tile.conveyorDirection,
+        "Pd"
+      )
+    );
+  }
+
+  /** @type {string} */
+  let encoded = appendKeyColor(tile.keyColor, "Pa");
+  switch (tile.inputDirection) {
+    case "Down":
+      encoded = `${encoded}v`;
+      break;
+
+    case "Left":
+      encoded = `${encoded}<`;
+      break;
+
+    case "None":
+      encoded = `${encoded}.`;
+      break;
+
+    case "Right":
+      encoded = `${encoded}>`;
+      break;
+
+    case "Up":
+      encoded = `${encoded}^`;
+      break;
+  }
+
+  return appendKeyInventory(
+    tile.keys,
+    appendConveyorDirection(
+      tile.conveyorDirection,
+      encoded
+    )
+  );
+}
+
+/**
+ * Decodes an input direction from an array of characters
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {InputDirection}}
+ */
+function decodeInputDirection(chars, index) {
+  switch (chars[index]) {
+    case "v":
+      return "Down";
+
+    case "<":
+      return "Left";
+
+    case ">":
+      return "Right";
+
+    case "^":
+      return "Up";
+
+    case ".":
+      return "None";
+
+    default:
+      throw new Error(
+        `Unexpected input direction ${chars[index]} at ${index}`
+      );
+  }
+}
+
+/**
+ * Decodes a player tile from an array of characters
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {(
+ *  {
+ *    tile: LivingPlayerTile,
+ *    nextIndex: number
+ *  } |
+ *  {
+ *    tile: DeadPlayerTile,
+ *    nextIndex: number
+ *  }
+ * )}
+ */
+function decodePlayerTile(chars, index) {
+  const status = chars[index + 1];
+
+  /**
+   * @type {boolean}
+   */
+  let isAlive;
+  switch (status) {
+    case "a":
+      isAlive = true;
+      break;
+
+    case "d":
+      isAlive = false;
+      break;
+
+    default:
+      throw new Error(`Unexpected player status ${status} at ${index + 1}`);
+  }
+
+  if (isAlive) {
+    const decodedKeyColor = decodeKeyColor(chars, index + 2);
+    const inputDirection = decodeInputDirection(
+      chars,
+      decodedKeyColor.nextIndex
+    );
+    const decodedConveyorDirection = decodeConveyorDirection(
       chars,
-      decodedExcessKey.nextIndex + 1
+      decodedKeyColor.nextIndex + 1
     );
-    const decodedKeyColor = decodeKeyColor(
+    const decodedKeys = decodeKeyInventory(
       chars,
       decodedConveyorDirection.nextIndex
     );
@@ -577,12 +1346,12 @@ function decodePlayerTile(chars, index) {
         type: "Player",
         isAlive,
         inputDirection,
-        excessKey: decodedExcessKey.keyColor,
+        keys: decodedKeys.keys,
         justUpdated: false,
         conveyorDirection: decodedConveyorDirection.conveyorDirection,
         keyColor: decodedKeyColor.keyColor,
       },
-      nextIndex: decodedKeyColor.nextIndex,
+      nextIndex: decodedKeys.nextIndex,
     };
   }
 
@@ -629,9 +1398,17 @@ function encodeRockTile(tile) {
       encoded = "R>";
       break;
 
+    case "Left":
+      encoded = "R(";
+      break;
+
     case "None":
       encoded = "R.";
       break;
+
+    case "Right":
+      encoded = "R)";
+      break;
   }
 
   return appendKeyColor(
@@ -676,10 +1453,18 @@ function decodeRockTile(chars, index) {
       };
       break;
 
+    case "(":
+      tile = { type: "Rock", fallingDirection: "Left", justUpdated: false };
+      break;
+
     case ".":
       tile = { type: "Rock", fallingDirection: "None", justUpdated: false };
       break;
 
+    case ")":
+      tile = { type: "Rock", fallingDirection: "Right", justUpdated: false };
+      break;
+
     default:
       throw new Error(
         `Unexpected falling direction ${fallingDirection} at ${index + 1}`
@@ -699,6 +1484,90 @@ function decodeRockTile(chars, index) {
   };
 }
 
+/**
+ * Encodes a falling collectable tile
+ *
+ * @param {FallingCollectableTile} tile
+ * @returns {string}
+ */
+function encodeFallingCollectableTile(tile) {
+  /** @type {string} */
+  let encoded;
+  switch (tile.fallingDirection) {
+    case "Down":
+      encoded = "Jv";
+      break;
+
+    case "DownLeft":
+      encoded = "J<";
+      break;
+
+    case "DownRight":
+      encoded = "J>";
+      break;
+
+    case "None":
+      encoded = "J.";
+      break;
+  }
+
+  return appendKeyColor(
+    tile.keyColor,
+    appendConveyorDirection(
+      tile.conveyorDirection,
+      encoded
+    )
+  );
+}
+
+/**
+ * Decodes a falling collectable tile from an array of characters
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {{ tile: FallingCollectableTile, nextIndex: number }}
+ */
+function decodeFallingCollectableTile(chars, index) {
+  /** @type {FallingCollectableTile["fallingDirection"]} */
+  let fallingDirection;
+  switch (chars[index + 1]) {
+    case "v":
+      fallingDirection = "Down";
+      break;
+
+    case "<":
+      fallingDirection = "DownLeft";
+      break;
+
+    case ">":
+      fallingDirection = "DownRight";
+      break;
+
+    case ".":
+      fallingDirection = "None";
+      break;
+
+    default:
+      throw new Error(
+        `Unexpected falling direction ${chars[index + 1]} at ${index + 1}`
+      );
+  }
+
+  const decodedConveyorDirection = decodeConveyorDirection(chars, index + 2);
+  const decodedKeyColor = decodeKeyColor(chars, decodedConveyorDirection.nextIndex);
+
+  return {
+    tile: {
+      type: "FallingCollectable",
+      fallingDirection,
+      justUpdated: false,
+      conveyorDirection: decodedConveyorDirection.conveyorDirection,
+      keyColor: decodedKeyColor.keyColor,
+    },
+    nextIndex: decodedKeyColor.nextIndex,
+  };
+}
+
 /**
  * Encodes a water tile
  *
@@ -791,6 +1660,97 @@ function decodeWaterTile(chars, index) {
   };
 }
 
+/**
+ * Encodes a lava tile
+ *
+ * @param {LavaTile} tile
+ * @returns {string}
+ */
+function encodeLavaTile(tile) {
+  /** @type {string} */
+  let encoded;
+  switch (tile.flowDirection) {
+    case "All":
+      encoded = "L+";
+      break;
+
+    case "Both":
+      encoded = "L_";
+      break;
+
+    case "Down":
+      encoded = "Lv";
+      break;
+
+    case "Left":
+      encoded = "L<";
+      break;
+
+    case "Right":
+      encoded = "L>";
+      break;
+  }
+
+  return appendKeyColor(
+    tile.keyColor,
+    appendConveyorDirection(tile.conveyorDirection, encoded)
+  );
+}
+
+/**
+ * Decodes a lava tile from an array of characters
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {{ tile: LavaTile, nextIndex: number }}
+ */
+function decodeLavaTile(chars, index) {
+  const flowDirection = chars[index + 1];
+
+  /** @type {LavaTile["flowDirection"]} */
+  let decodedFlowDirection;
+  switch (flowDirection) {
+    case "+":
+      decodedFlowDirection = "All";
+      break;
+
+    case "_":
+      decodedFlowDirection = "Both";
+      break;
+
+    case "v":
+      decodedFlowDirection = "Down";
+      break;
+
+    case "<":
+      decodedFlowDirection = "Left";
+      break;
+
+    case ">":
+      decodedFlowDirection = "Right";
+      break;
+
+    default:
+      throw new Error(
+        `Unexpected flow direction ${flowDirection} at ${index + 1}`
+      );
+  }
+
+  const decodedConveyorDirection = decodeConveyorDirection(chars, index + 2);
+  const decodedKeyColor = decodeKeyColor(chars, decodedConveyorDirection.nextIndex);
+
+  return {
+    tile: {
+      type: "Lava",
+      flowDirection: decodedFlowDirection,
+      justUpdated: false,
+      conveyorDirection: decodedConveyorDirection.conveyorDirection,
+      keyColor: decodedKeyColor.keyColor,
+    },
+    nextIndex: decodedKeyColor.nextIndex,
+  };
+}
+
 /**
  * Encodes a tile as a string
  *
@@ -798,24 +1758,76 @@ function decodeWaterTile(chars, index) {
  * @returns {string}
  */
 export function encodeTile(tile) {
+  let encoded = encodeTileWithoutFloorDevices(tile);
+  if (!hasFloor(tile)) {
+    return encoded;
+  }
+
+  for (const [device, character] of FLOOR_DEVICES) {
+    if (tile[device] !== undefined) {
+      encoded += `${character}${tile[device]}`;
+    }
+  }
+
+  return encoded;
+}
+
+/**
+ * Encodes a tile without the devices it may be on
+ *
+ * @param {Tile} tile
+ * @returns {string}
+ */
+function encodeTileWithoutFloorDevices(tile) {
   switch (tile.type) {
     case "Collectable":
     case "Empty":
+    case "IndestructibleWall":
     case "Wall":
       return encodeGenericTile(tile);
 
+    case "Bomb":
+      return encodeBombTile(tile);
+
+    case "CrackedWall":
+      return encodeCrackedWallTile(tile);
+
     case "Dirt":
       return encodeDirtTile(tile);
 
     case "Door":
       return encodedDoorTile(tile);
 
+    case "Enemy":
+      return encodeEnemyTile(tile);
+
+    case "Exit":
+      return encodeExitTile(tile);
+
+    case "Explosion":
+      return encodeExplosionTile(tile);
+
+    case "FallingCollectable":
+      return encodeFallingCollectableTile(tile);
+
+    case "Gate":
+      return encodeGateTile(tile);
+
+    case "Lava":
+      return encodeLavaTile(tile);
+
+    case "MagicWall":
+      return encodeMagicWallTile(tile);
+
     case "Player":
       return encodePlayerTile(tile);
 
     case "Rock":
       return encodeRockTile(tile);
 
+    case "ToggleWall":
+      return encodeToggleWallTile(tile);
+
     case "Water":
       return encodeWaterTile(tile);
   }
@@ -829,15 +1841,79 @@ export function encodeTile(tile) {
  * @returns {{ tile: Tile, nextIndex: number }}
  */
 export function decodeTile(chars, index) {
+  const decoded = decodeTileWithoutFloorDevices(chars, index);
+  if (!hasFloor(decoded.tile)) {
+    return decoded;
+  }
+
+  let { tile, nextIndex } = decoded;
+  for (const [device, character, name] of FLOOR_DEVICES) {
+    if (chars[nextIndex] !== character) {
+      continue;
+    }
+
+    const channel = chars[nextIndex + 1];
+    if (channel === undefined || !/^\d$/.test(channel)) {
+      throw new Error(
+        `Unexpected ${name} channel ${channel} at ${nextIndex + 1}`
+      );
+    }
+
+    tile = { ...tile, [device]: channel };
+    nextIndex += 2;
+  }
+
+  return { tile, nextIndex };
+}
+
+/**
+ * Decodes a tile without the devices it may be on
+ *
+ * @param {string[]} chars
+ * @param {number} index The index in the array to decode from
+ * @returns {{ tile: Tile, nextIndex: number }}
+ */
+function decodeTileWithoutFloorDevices(chars, index) {
   switch (chars[index]) {
     case "C":
+    case "I":
     case "W":
     case " ":
       return decodeGenericTile(chars, index);
 
+    case "B":
+      return decodeBombTile(chars, index);
+
     case "D":
       return decodeDirtTile(chars, index);
 
+    case "E":
+      return decodeExplosionTile(chars, index);
+
+    case "G":
+      return decodeGateTile(chars, index);
+
+    case "H":
+      return decodeToggleWallTile(chars, index);
+
+    case "J":
+      return decodeFallingCollectableTile(chars, index);
+
+    case "K":
+      return decodeCrackedWallTile(chars, index);
+
+    case "L":
+      return decodeLavaTile(chars, index);
+
+    case "M":
+      return decodeMagicWallTile(chars, index);
+
+    case "N":
+      return decodeEnemyTile(chars, index);
+
+    case "O":
+      return decodeExitTile(chars, index);
+
     case "P":
       return decodePlayerTile(chars, index);
 
@@ -0,0 +1,172 @@
+/**
+ * @typedef {import("./patterns.js").PatternCallback} PatternCallback
+ * @typedef {import("./patterns.js").TileRegion} TileRegion
+ * @typedef {import("./tile.js").Tile} Tile
+ */
+
+import { decodeTile, encodeTile } from "./tile.js";
+
+/**
+ * The encodings of every tile without conveyors or keys. The pattern index
+ * groups tiles by these, so tiles of a kind missing from here are tried
+ * against every rule.
+ */
+const TILE_ENCODINGS = [
+  " ",
+  "C",
+  "W",
+  "I",
+  ...["B.", "B!"],
+  ...["E1", "E2", "E3"],
+  ...["D_", "Dv", "D<", "D>", "D."],
+  ...["Xb", "Xg", "Xr", "Xy"],
+  ...["Gv", "G<", "G>", "G^"],
+  ...["O.", "O+", "O@"],
+  "H0",
+  ...["K1", "K2"],
+  ...["M5.", "M5!", "M0x"],
+  ...["l", "r"].flatMap(hand =>
+    ["v", "<", ">", "^"].map(facing => `N${hand}${facing}`)
+  ),
+  "Pd",
+  ...["", "b", "g", "r", "y"].flatMap(keyColor =>
+    [".", "v", "<", ">", "^"].map(input => `Pa${keyColor}${input}`)
+  ),
+  ...["R.", "Rv", "R<", "R>", "R(", "R)"],
+  ...["J.", "Jv", "J<", "J>"],
+  ...["~+", "~_", "~v", "~<", "~>"],
+  ...["L+", "L_", "Lv", "L<", "L>"],
+];
+
+const CONVEYOR_SUFFIXES = ["", "v", "<", ">", "^", "*"];
+
+/**
+ * The keys under tiles and, for players, the keys they hold
+ */
+const KEY_SUFFIXES = ["", "b", "g", "r", "y", "bb"];
+
+/**
+ * The row lengths of a region
+ */
+const REGION_SHAPE = [1, 3, 5, 3];
+
+/**
+ * Gets every distinct tile, both just updated and not
+ *
+ * @returns {Tile[]}
+ */
+export function getTileUniverse() {
+  /** @type {Tile[]} */
+  const tiles = [];
+
+  for (const base of TILE_ENCODINGS) {
+    for (const conveyor of CONVEYOR_SUFFIXES) {
+      for (const key of KEY_SUFFIXES) {
+        const encoded = base + conveyor + key;
+        const { tile, nextIndex } = decodeTile([...encoded], 0);
+
+        // Doors, for example, ignore conveyors and keys
+        if (nextIndex !== encoded.length || encodeTile(tile) !== encoded) {
+          continue;
+        }
+
+        tiles.push(tile, { ...tile, justUpdated: true });
+      }
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Creates a region filled with a single tile
+ *
+ * @param {Tile} tile
+ * @returns {TileRegion}
+ */
+function createRegion(tile) {
+  return /** @type {TileRegion} */ (
+    REGION_SHAPE.map(length => new Array(length).fill(tile))
+  );
+}
+
+/**
+ * Wraps a region to record which of its cells are read
+ *
+ * @param {TileRegion} region
+ * @param {Set<string>} reads The cells read as "row,column"
+ * @returns {TileRegion}
+ */
+function recordReads(region, reads) {
+  return /** @type {TileRegion} */ (
+    /** @type {unknown} */ (region.map((row, rowIndex) => new Proxy(row, {
+      get(target, property) {
+        if (typeof property === "string" && /^\d+$/.test(property)) {
+          reads.add(`${rowIndex},${property}`);
+        }
+
+        return Reflect.get(target, property);
+      },
+    })))
+  );
+}
+
+/**
+ * Creates a function that finds whether a cell of a pattern matches a tile in
+ * some region and in every region
+ *
+ * Patterns that read other cells of the region, such as openable doors, are
+ * tried with every tile in the cells they read.
+ *
+ * @param {PatternCallback} pattern
+ * @param {number} rowIndex
+ * @param {number} columnIndex
+ * @param {Tile[]} universe
+ * @returns {(tile: Tile) => { any: boolean, all: boolean }}
+ */
+export function createCellMatcher(pattern, rowIndex, columnIndex, universe) {
+  /** @type {Set<string>} */
+  const reads = new Set();
+  const region = createRegion(universe[0]);
+  const recordingRegion = recordReads(region, reads);
+  const ownCell = `${rowIndex},${columnIndex}`;
+
+  return tile => {
+    region[rowIndex][columnIndex] = tile;
+    reads.clear();
+
+    const matches = pattern(tile, recordingRegion);
+    reads.delete(ownCell);
+
+    // A pattern that did not read the rest of the region cannot depend on it
+    if (reads.size === 0) {
+      return { any: matches, all: matches };
+    }
+
+    const otherReads = [...reads].map(cell => cell.split(",").map(Number));
+
+    let any = false;
+    let all = true;
+    for (const context of universe) {
+      for (const [row, column] of otherReads) {
+        region[row][column] = context;
+      }
+
+      if (pattern(tile, region)) {
+        any = true;
+      } else {
+        all = false;
+      }
+
+      if (any && !all) {
+        break;
+      }
+    }
+
+    for (const [row, column] of otherReads) {
+      region[row][column] = universe[0];
+    }
+
+    return { any, all };
+  };
+}
@@ -115,6 +115,36 @@ describe("Board", function () {
     });
   });
 
+  describe("countTiles", function () {
+    it("counts the tiles of a type", function () {
+      const board = decodeBoard("3;1;2C1 ");
+
+      assert.equal(board.countTiles("Collectable"), 2);
+      assert.equal(board.countTiles("Empty"), 1);
+      assert.equal(board.countTiles("Rock"), 0);
+    });
+
+    it("updates the counts as tiles are set", function () {
+      const board = decodeBoard("3;1;2C1 ");
+      board.setTile([0, 0], Board.WALL_TILE);
+      board.setTile([1, 0], Board.WALL_TILE);
+
+      assert.equal(board.countTiles("Collectable"), 0);
+      assert.equal(board.countTiles("Wall"), 2);
+      assert.equal(board.countTiles("Empty"), 1);
+    });
+  });
+
+  describe("livingPlayerCount", function () {
+    it("counts only living players", function () {
+      const board = decodeBoard("3;1;1Pa.1Pd1 ");
+      assert.equal(board.livingPlayerCount, 1);
+
+      board.setTile([0, 0], Board.EMPTY_TILE);
+      assert.equal(board.livingPlayerCount, 0);
+    });
+  });
+
   describe("clone", function () {
     it("ensures the tiles are a different array", function () {
       const board = new Board(2, 2);
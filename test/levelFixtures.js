@@ -0,0 +1,29 @@
+/**
+ * @typedef {import("../src/levels.js").Level} Level
+ */
+
+/**
+ * Levels that use settings no built-in level needs, so their solutions are
+ * verified like the built-in levels without shipping them
+ *
+ * @type {Level[]}
+ */
+export default [
+  {
+    name: "gravity-up",
+    serialized: "6;4;8W1 1W1 2W1Pa.1R.1D.1R.1C6W",
+    solution: "RRRR",
+    gravity: "Up",
+    maxMoves: 6,
+    par: 4,
+    starScores: [840, 1050],
+  },
+  {
+    name: "enemy-corridor",
+    serialized: "4;3;1Pa.1 1C5W1Nl>3 ",
+    solution: "RR",
+    maxMoves: 4,
+    par: 2,
+    starScores: [860, 1070],
+  },
+];
@@ -0,0 +1,112 @@
+import * as assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { decodeBoard } from "../src/board.js";
+import Levels from "../src/levels.js";
+import { decodeInputDirection } from "../src/replay.js";
+import { computeScore, getStars } from "../src/scoring.js";
+import { solve } from "../src/solver.js";
+import { State } from "../src/state.js";
+
+import LevelFixtures from "./levelFixtures.js";
+
+/**
+ * The most ticks a level may take to settle after a move
+ */
+const MAX_TICKS = 1000;
+
+describe("Levels", function () {
+  it("have unique names", function () {
+    const names = new Set(Levels.map(level => level.name));
+
+    assert.equal(names.size, Levels.length);
+  });
+
+  it("have a par within their move limit", function () {
+    for (const { name, maxMoves, par } of Levels) {
+      if (maxMoves !== undefined && par !== undefined) {
+        assert.ok(par <= maxMoves, `${name} has a par over its move limit`);
+      }
+    }
+  });
+
+  it("need higher scores for three stars than for two", function () {
+    for (const { name, starScores } of Levels) {
+      if (starScores !== undefined) {
+        assert.ok(
+          starScores[0] < starScores[1],
+          `${name} has star scores out of order`
+        );
+      }
+    }
+  });
+
+  it("have a solution", function () {
+    for (const { name, solution } of Levels) {
+      assert.ok(solution, `${name} has no solution`);
+    }
+  });
+
+  it("level-20 is solved by the solver", function () {
+    const level = Levels.find(({ name }) => name === "level-20");
+    assert.ok(level);
+
+    const result = solve(decodeBoard(level.serialized), {
+      maxTimeMs: 120000,
+      maxTicks: MAX_TICKS,
+    });
+    assert.ok(result.solved, "The solver found no solution");
+  });
+
+  it("level-22 is solved by the solver near the end of its solution", function () {
+    const level = Levels.find(({ name }) => name === "level-22");
+    assert.ok(level);
+
+    // Searching from the start visits too many boards to finish, so search
+    // from where the solution is a few moves away from winning
+    const state = new State(decodeBoard(level.serialized));
+    assert.ok(state.settle(MAX_TICKS));
+
+    const moves = [...level.solution.slice(0, -12)];
+    moves.forEach((_, index) => {
+      state.movePlayers(decodeInputDirection(moves, index));
+      assert.ok(state.settle(MAX_TICKS));
+    });
+
+    const result = solve(state.board, {
+      maxTimeMs: 120000,
+      maxTicks: MAX_TICKS,
+    });
+    assert.ok(result.solved, "The solver found no solution");
+  });
+
+  [...Levels, ...LevelFixtures].forEach(level => {
+    it(`${level.name} is won by its solution`, function () {
+      const state = new State(decodeBoard(level.serialized), {
+        gravity: level.gravity,
+        maxMoves: level.maxMoves,
+      });
+      assert.ok(state.settle(MAX_TICKS), "The level did not settle");
+
+      const moves = [...level.solution];
+      moves.forEach((_, index) => {
+        assert.equal(
+          state.gameState,
+          "In Progress",
+          `The game ended before move ${index}`
+        );
+
+        state.movePlayers(decodeInputDirection(moves, index));
+        assert.ok(
+          state.settle(MAX_TICKS),
+          `The level did not settle after move ${index}`
+        );
+      });
+
+      assert.equal(state.gameState, "Win");
+      if (level.starScores !== undefined) {
+        assert.equal(getStars(computeScore(state), level.starScores), 3);
+      }
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import * as assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  analyzePatterns,
+  findUnmatchedPatterns,
+} from "../src/patternAnalyzer.js";
+import { parsePatterns } from "../src/patternParser.js";
+
+/**
+ * @typedef {import("../src/patternParser.js").Vocabulary} Vocabulary
+ */
+
+/** @type {Vocabulary} */
+const vocabulary = {
+  predicates: {
+    Door: () => tile => tile.type === "Door",
+    Empty: () => tile => tile.type === "Empty",
+    Rock: () => tile => tile.type === "Rock",
+    KeyDoor: () => (tile, region) => {
+      const player = region[1][1];
+      return tile.type === "Door" &&
+        player.type === "Player" &&
+        tile.color === player.keyColor;
+    },
+  },
+  updates: {
+    empty: () => () => ({ type: "Empty" }),
+  },
+};
+
+/**
+ * Creates a rule that only matches its center and the tiles above and below
+ *
+ * @param {string} description
+ * @param {string} above
+ * @param {string} center
+ * @param {string} below
+ */
+function rule(description, above, center, below) {
+  return `rule ${description}
+      .
+    . ${above} .
+    . . ${center} . .
+    . ${below} .
+    =>
+      .
+    . . .
+    . . empty
+  `;
+}
+
+/**
+ * Analyzes rules written in the pattern language
+ *
+ * @param {string[]} rules
+ */
+function analyze(...rules) {
+  return analyzePatterns(parsePatterns(rules.join("\n"), vocabulary));
+}
+
+describe("analyzePatterns", function () {
+  it("reports rules that can never match", function () {
+    const analysis = analyze(rule("Impossible", ".", "Rock&Empty", "."));
+
+    assert.deepEqual(analysis.unsatisfiable, [0]);
+  });
+
+  it("reports rules that always match after an earlier rule", function () {
+    const analysis = analyze(
+      rule("Rocks", ".", "Rock", "."),
+      rule("Rocks above empty", ".", "Rock", "Empty")
+    );
+
+    assert.deepEqual(analysis.shadowed, [{ index: 1, shadowedBy: 0 }]);
+    assert.deepEqual(analysis.overlapping, []);
+  });
+
+  it("reports rules that can match the same region", function () {
+    const analysis = analyze(
+      rule("Rocks below empty", "Empty", "Rock", "."),
+      rule("Rocks above empty", ".", "Rock", "Empty"),
+      rule("Empty", ".", "Empty", ".")
+    );
+
+    assert.deepEqual(analysis.shadowed, []);
+    assert.deepEqual(analysis.overlapping, [[0, 1]]);
+  });
+
+  it("tries the tiles patterns read from the region", function () {
+    const analysis = analyze(
+      rule("Key doors", ".", "KeyDoor", "."),
+      rule("Doors", ".", "Door", "."),
+      rule("Key doors again", ".", "KeyDoor", ".")
+    );
+
+    assert.deepEqual(analysis.shadowed, [{ index: 2, shadowedBy: 1 }]);
+    assert.deepEqual(analysis.overlapping, [[0, 1]]);
+  });
+
+  it("reports descriptions used by more than one rule", function () {
+    const analysis = analyze(
+      rule("Rocks", "Empty", "Rock", "."),
+      rule("Rocks", ".", "Rock", "Empty"),
+      rule("Doors", ".", "Door", ".")
+    );
+
+    assert.deepEqual(analysis.duplicateDescriptions, ["Rocks"]);
+  });
+});
+
+describe("findUnmatchedPatterns", function () {
+  it("finds the rules whose descriptions were not matched", function () {
+    const rules = parsePatterns(
+      [
+        rule("Rocks", ".", "Rock", "."),
+        rule("Doors", ".", "Door", "."),
+        rule("Empty", ".", "Empty", "."),
+      ].join("\n"),
+      vocabulary
+    );
+
+    assert.deepEqual(findUnmatchedPatterns(rules, ["Doors"]), [0, 2]);
+  });
+});
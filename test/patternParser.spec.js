@@ -0,0 +1,181 @@
+import * as assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { parsePatterns } from "../src/patternParser.js";
+import { decodeTile } from "../src/tile.js";
+
+/**
+ * @typedef {import("../src/patternParser.js").Vocabulary} Vocabulary
+ * @typedef {import("../src/patterns.js").TileRegion} TileRegion
+ * @typedef {import("../src/tile.js").Tile} Tile
+ */
+
+/** @type {Vocabulary} */
+const vocabulary = {
+  predicates: {
+    Empty: () => tile => tile.type === "Empty",
+    Rock: () => tile => tile.type === "Rock",
+    Type: type => tile => tile.type === type,
+  },
+  updates: {
+    empty: () => () => ({ type: "Empty" }),
+    rock: () => () => ({ type: "Rock", fallingDirection: "None" }),
+  },
+};
+
+const rocksFall = `
+rule Rocks fall down
+        .
+     .  Rock   .
+  .  .  Empty  .  .
+     .  .      .
+=>
+        .
+     .  empty  .
+  .  .  rock
+`;
+
+/**
+ * Decodes a tile
+ *
+ * @param {string} encoded
+ * @returns {Tile}
+ */
+function tile(encoded) {
+  return decodeTile([...encoded], 0).tile;
+}
+
+/**
+ * Creates a region filled with one tile except for its center
+ *
+ * @param {Tile} center
+ * @returns {TileRegion}
+ */
+function regionAround(center) {
+  const wall = tile("W");
+  return [
+    [wall],
+    [wall, wall, wall],
+    [wall, wall, center, wall, wall],
+    [wall, wall, wall],
+  ];
+}
+
+/**
+ * Compiles a single cell predicate
+ *
+ * @param {string} cell
+ */
+function compileCenter(cell) {
+  const [[, patternRegion]] = parsePatterns(
+    `rule Test
+      .
+    . . .
+    . . ${cell} . .
+    . . .
+    =>
+      .
+    . . .
+    . . empty`,
+    vocabulary
+  );
+
+  const predicate = patternRegion[2][2];
+  assert.ok(predicate);
+  return predicate;
+}
+
+describe("parsePatterns", function () {
+  it("compiles a rule", function () {
+    const rules = parsePatterns(rocksFall, vocabulary);
+    assert.equal(rules.length, 1);
+
+    const [[description, patternRegion, updateRegion]] = rules;
+    assert.equal(description, "Rocks fall down");
+
+    assert.deepEqual(
+      patternRegion.map(row => row.map(cell => cell !== null)),
+      [
+        [false],
+        [false, true, false],
+        [false, false, true, false, false],
+        [false, false, false],
+      ]
+    );
+    assert.deepEqual(
+      updateRegion.map(row => row.map(cell => cell !== null)),
+      [
+        [false],
+        [false, true, false],
+        [false, false, true],
+      ]
+    );
+
+    const region = regionAround(tile(" "));
+    assert.ok(patternRegion[1][1]?.(tile("R."), region));
+    assert.ok(!patternRegion[1][1]?.(tile(" "), region));
+    assert.equal(updateRegion[2][2](tile(" "), region).type, "Rock");
+  });
+
+  it("compiles several rules in order", function () {
+    const rules = parsePatterns(
+      `# Comments and blank lines are ignored
+      ${rocksFall}
+
+      ${rocksFall.replace("Rocks fall down", "Rocks fall again")}`,
+      vocabulary
+    );
+
+    assert.deepEqual(
+      rules.map(([description]) => description),
+      ["Rocks fall down", "Rocks fall again"]
+    );
+  });
+
+  /** @type {[string, string, boolean][]} */
+  const predicateCases = [
+    ["!Rock", " ", true],
+    ["!Rock", "R.", false],
+    ["Rock|Empty", " ", true],
+    ["Rock&Empty", " ", false],
+    ["!Rock&!Empty", "W", true],
+    ["!(Rock|Empty)", " ", false],
+    ["Empty|Rock&Empty", " ", true],
+    ["(Empty|Rock)&Empty", "R.", false],
+    ["Type(Wall)", "W", true],
+    ["Type(Wall)", "C", false],
+  ];
+
+  predicateCases.forEach(([cell, encoded, expected]) => {
+    it(`evaluates ${cell} on "${encoded}" as ${expected}`, function () {
+      const predicate = compileCenter(cell);
+      const region = regionAround(tile(encoded));
+
+      assert.equal(predicate(region[2][2], region), expected);
+    });
+  });
+
+  /** @type {[string, string][]} */
+  const failureCases = [
+    ["Rocks fall", "Line 1: Expected rule"],
+    [rocksFall.replace("Rock   .", "Rock"), "Line 4: Expected 3 cells but got 2"],
+    [rocksFall.replace("=>", "->"), "Line 7: Expected =>"],
+    [rocksFall.replace("rock\n", ".\n"), "Line 10: The center tile must be updated"],
+    [rocksFall.replace("Rock ", "Stone "), "Line 4: Unknown predicate Stone"],
+    [rocksFall.replace("rock", "stone"), "Line 10: Unknown update stone"],
+    [rocksFall.replace("Rock ", "Rock(Down) "), "Line 4: Too many arguments to Rock"],
+    [rocksFall.replace("Empty  .  .", "Empty  .  (Empty"), "Line 5: Expected \\) at 6 of \\(Empty"],
+    [rocksFall.replace("Rock ", "Rock) "), "Line 4: Unexpected \\) at 4 of Rock\\)"],
+    [rocksFall.replace("Rock ", "Rock! "), "Line 4: Unexpected ! at 4 of Rock!"],
+    [rocksFall.split("=>")[0], "Expected =>"],
+  ];
+
+  failureCases.forEach(([text, message]) => {
+    it(`fails with "${message}"`, function () {
+      assert.throws(
+        () => parsePatterns(text, vocabulary),
+        new RegExp(message + "$")
+      );
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import * as assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { decodeBoard } from "../src/board.js";
+import Levels from "../src/levels.js";
+import {
+  findMatchingPattern,
+  getPointCenteredRegion,
+  patterns,
+  rotateOffset,
+} from "../src/patterns.js";
+import { decodeInputDirection } from "../src/replay.js";
+import { State } from "../src/state.js";
+import { decodeTile, encodeTile } from "../src/tile.js";
+import { getTileUniverse } from "../src/tileUniverse.js";
+
+import LevelFixtures from "./levelFixtures.js";
+
+/**
+ * @typedef {import("../src/board.js").Point} Point
+ * @typedef {import("../src/patterns.js").TileRegion} TileRegion
+ * @typedef {import("../src/tile.js").Tile} Tile
+ */
+
+/**
+ * Asserts that the dispatched pattern is the first pattern that matches
+ *
+ * @param {TileRegion} region
+ */
+function assertSamePattern(region) {
+  const expected = findMatchingPattern(region, patterns);
+  const actual = findMatchingPattern(region);
+
+  assert.equal(actual?.[0], expected?.[0]);
+  assert.equal(actual, expected);
+}
+
+/**
+ * Encodings of tiles that are not in the tile universe, which has no floor
+ * devices, few magic wall tick counts and players holding at most two keys
+ */
+const OUTSIDE_UNIVERSE_ENCODINGS = [
+  " T2",
+  " h4",
+  "CS3",
+  "R.S2",
+  "~vbT2",
+  "Pa.T3",
+  "Pab.>T2S3",
+  "Pa.bgr",
+  "Pag^ry",
+  "Par>bg",
+  "Pa<bbb",
+  "M7!",
+  "M13.",
+  "M3x",
+];
+
+/**
+ * Asserts that indexed patterns match the same pattern as trying every
+ * pattern in regions mixed from a few tiles
+ *
+ * @param {(random: (max: number) => number) => Tile[]} pickTiles Picks the
+ * tiles to mix in each region
+ */
+function assertSamePatternInMixedRegions(pickTiles) {
+  // A small deterministic generator so failures are reproducible
+  let seed = 1;
+  const random = (/** @type {number} */ max) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed % max;
+  };
+
+  for (let iteration = 0; iteration < 20000; ++iteration) {
+    const tiles = pickTiles(random);
+    const pick = () => tiles[random(tiles.length)];
+
+    assertSamePattern([
+      [pick()],
+      [pick(), pick(), pick()],
+      [pick(), pick(), pick(), pick(), pick()],
+      [pick(), pick(), pick()],
+    ]);
+  }
+}
+
+describe("findMatchingPattern", function () {
+  it("finds the first pattern that matches", function () {
+    const board = decodeBoard("1;3;1R.2 ");
+
+    assert.equal(
+      findMatchingPattern(getPointCenteredRegion(board, [0, 1], "Down"))?.[0],
+      "Rocks fall down"
+    );
+    assert.equal(findMatchingPattern(getPointCenteredRegion(board, [0, 2], "Down")), undefined);
+  });
+
+  [...Levels, ...LevelFixtures].forEach(level => {
+    it(`matches the same patterns as trying every pattern in ${level.name}`, function () {
+      const state = new State(decodeBoard(level.serialized), {
+        gravity: level.gravity,
+        maxMoves: level.maxMoves,
+      });
+
+      const settle = () => {
+        while (state.updatedTiles.length > 0) {
+          for (const point of state.pointsToUpdate) {
+            assertSamePattern(
+              getPointCenteredRegion(state.board, point, state.gravity)
+            );
+          }
+
+          state.applyUpdates();
+        }
+      };
+
+      settle();
+
+      const moves = [...level.solution];
+      moves.forEach((_, index) => {
+        state.movePlayers(decodeInputDirection(moves, index));
+        settle();
+      });
+    });
+  });
+
+  it("matches the same patterns as trying every pattern in mixed regions", function () {
+    const universe = getTileUniverse();
+    assertSamePatternInMixedRegions(
+      random => [0, 1, 2].map(() => universe[random(universe.length)])
+    );
+  });
+
+  it("matches the same patterns as trying every pattern with tiles outside the universe", function () {
+    const universe = getTileUniverse();
+    const universeEncodings = new Set(universe.map(encodeTile));
+    const others = OUTSIDE_UNIVERSE_ENCODINGS.flatMap(encoded => {
+      assert.ok(!universeEncodings.has(encoded), `${encoded} is in the universe`);
+
+      const { tile } = decodeTile([...encoded], 0);
+      return [tile, { ...tile, justUpdated: true }];
+    });
+
+    assertSamePatternInMixedRegions(random => [
+      universe[random(universe.length)],
+      others[random(others.length)],
+      others[random(others.length)],
+    ]);
+  });
+});
+
+describe("rotateOffset", function () {
+  /** @type {[import("../src/patterns.js").Gravity, Point][]} */
+  const cases = [
+    ["Down", [1, 2]],
+    ["Left", [-2, 1]],
+    ["Right", [2, -1]],
+    ["Up", [-1, -2]],
+  ];
+
+  cases.forEach(([gravity, expected]) => {
+    it(`turns an offset below and to the right for ${gravity} gravity`, function () {
+      assert.deepEqual(rotateOffset([1, 2], gravity), expected);
+    });
+  });
+});
+
+describe("getPointCenteredRegion", function () {
+  /** @type {import("../src/patterns.js").Gravity[]} */
+  const gravities = ["Down", "Left", "Right", "Up"];
+
+  gravities.forEach(gravity => {
+    it(`reads the far right cell two tiles from the center for ${gravity} gravity`, function () {
+      const board = decodeBoard("5;5;25 ");
+      const [dx, dy] = rotateOffset([2, 0], gravity);
+      board.setTile([2 + dx, 2 + dy], {
+        type: "Collectable",
+        justUpdated: false,
+        conveyorDirection: "None",
+        keyColor: "None",
+      });
+
+      const region = getPointCenteredRegion(board, [2, 2], gravity);
+      assert.equal(region[2][4].type, "Collectable");
+      assert.equal(region[2][3].type, "Empty");
+    });
+  });
+});
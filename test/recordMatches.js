@@ -0,0 +1,34 @@
+import { appendFileSync } from "node:fs";
+
+import { State } from "../src/state.js";
+
+// Preloaded by `node cli.js analyze --coverage` to append the description of
+// every pattern the tests match to the file it names, one per line
+const file = process.env.RECORD_MATCHES_FILE;
+
+if (file) {
+  /** @type {Set<string>} */
+  const descriptions = new Set();
+
+  /** @type {WeakSet<State>} */
+  const tracedStates = new WeakSet();
+
+  const applyUpdates = State.prototype.applyUpdates;
+  State.prototype.applyUpdates = function () {
+    if (!tracedStates.has(this)) {
+      tracedStates.add(this);
+      this.addTraceListener(({ description }) => {
+        descriptions.add(description);
+      });
+    }
+
+    return applyUpdates.call(this);
+  };
+
+  process.on("exit", () => {
+    appendFileSync(
+      file,
+      [...descriptions].map(description => `${description}\n`).join("")
+    );
+  });
+}
@@ -0,0 +1,190 @@
+import * as assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { decodeBoard, encodeBoard } from "../src/board.js";
+import {
+  ReplayPlayer,
+  decodeInputs,
+  decodeReplay,
+  encodeInputs,
+  encodeReplay,
+  getReplay,
+} from "../src/replay.js";
+import { State } from "../src/state.js";
+
+/**
+ * @typedef {import("../src/state.js").RecordedInput} RecordedInput
+ */
+
+/** @type {[RecordedInput[], string][]} */
+const inputCases = [
+  [[], ""],
+  [[{ tick: 0, inputDirection: "Right" }], "R"],
+  [[{ tick: 3, inputDirection: "Left" }], "3L"],
+  [
+    [
+      { tick: 1, inputDirection: "Up" },
+      { tick: 1, inputDirection: "Down" },
+      { tick: 13, inputDirection: "None" },
+    ],
+    "1UD12.",
+  ],
+];
+
+describe("encodeInputs", function () {
+  inputCases.forEach(([inputs, expected]) => {
+    it(`encodes ${JSON.stringify(inputs)} as "${expected}"`, function () {
+      assert.equal(encodeInputs(inputs), expected);
+    });
+  });
+});
+
+describe("decodeInputs", function () {
+  inputCases.forEach(([expected, encoding]) => {
+    it(`decodes "${encoding}"`, function () {
+      assert.deepEqual(decodeInputs(encoding), expected);
+    });
+  });
+
+  /** @type {[string, string][]} */
+  const failureCases = [
+    ["Z", "Unexpected input Z at 0"],
+    ["R3", "Unexpected input undefined at 2"],
+  ];
+
+  failureCases.forEach(([invalid, message]) => {
+    it(`fails to decode "${invalid}"`, function () {
+      assert.throws(
+        () => decodeInputs(invalid),
+        new RegExp(message + "$")
+      );
+    });
+  });
+});
+
+describe("decodeReplay", function () {
+  it("decodes the board and inputs", function () {
+    const replay = decodeReplay("2;1;1Pa.1 |1R");
+
+    assert.equal(encodeBoard(replay.board), "2;1;1Pa.1 ");
+    assert.deepEqual(replay.inputs, [{ tick: 1, inputDirection: "Right" }]);
+    assert.equal(replay.gravity, "Down");
+  });
+
+  it("decodes gravity", function () {
+    const replay = decodeReplay("2;1;1Pa.1 |1R|U");
+
+    assert.deepEqual(replay.inputs, [{ tick: 1, inputDirection: "Right" }]);
+    assert.equal(replay.gravity, "Up");
+  });
+
+  it("fails to decode a replay with unexpected gravity", function () {
+    assert.throws(
+      () => decodeReplay("2;1;1Pa.1 |1R|."),
+      /Unexpected gravity \.$/
+    );
+  });
+
+  it("fails to decode a replay without inputs", function () {
+    assert.throws(
+      () => decodeReplay("2;1;1Pa.1 "),
+      /Expected replay separator$/
+    );
+  });
+});
+
+describe("getReplay", function () {
+  it("records the original board and every input", function () {
+    const state = new State(decodeBoard("3;1;1Pa.2 "));
+    state.applyUpdates();
+    state.movePlayers("Right");
+    state.applyUpdates();
+    state.applyUpdates();
+    state.movePlayers("Right");
+
+    assert.equal(encodeReplay(getReplay(state)), "3;1;1Pa.2 |1R2R");
+  });
+
+  it("forgets undone inputs", function () {
+    const state = new State(decodeBoard("3;1;1Pa.2 "));
+    state.applyUpdates();
+    state.movePlayers("Right");
+    state.applyUpdates();
+    state.movePlayers("Right");
+    state.undo();
+
+    assert.equal(encodeReplay(getReplay(state)), "3;1;1Pa.2 |1R");
+  });
+
+  it("records gravity other than down", function () {
+    const state = new State(decodeBoard("3;1;1Pa.2 "), { gravity: "Left" });
+    state.applyUpdates();
+    state.movePlayers("Right");
+
+    assert.equal(encodeReplay(getReplay(state)), "3;1;1Pa.2 |1R|L");
+  });
+});
+
+describe("ReplayPlayer", function () {
+  const encodedBoard = "3;3;1 1R.2 1Pa.4 ";
+
+  /**
+   * Plays a game and returns its replay and final board
+   */
+  function playGame() {
+    const state = new State(decodeBoard(encodedBoard));
+    while (state.updatedTiles.length > 0) {
+      state.applyUpdates();
+    }
+
+    state.movePlayers("Left");
+    state.applyUpdates();
+    state.movePlayers("Down");
+    while (state.updatedTiles.length > 0) {
+      state.applyUpdates();
+    }
+
+    return {
+      replay: getReplay(state),
+      finalBoard: encodeBoard(state.board),
+      ticks: state.ticks,
+    };
+  }
+
+  it("reproduces the recorded game", function () {
+    const { replay, finalBoard, ticks } = playGame();
+    const player = new ReplayPlayer(decodeReplay(encodeReplay(replay)));
+
+    assert.equal(player.length, ticks);
+    assert.equal(player.tick, 0);
+
+    while (!player.finished) {
+      player.step();
+    }
+
+    assert.equal(player.tick, ticks);
+    assert.equal(encodeBoard(player.state.board), finalBoard);
+  });
+
+  it("seeks backwards and forwards", function () {
+    const { replay, finalBoard, ticks } = playGame();
+    const player = new ReplayPlayer(replay);
+
+    player.seek(ticks);
+    assert.equal(encodeBoard(player.state.board), finalBoard);
+
+    player.seek(0);
+    assert.equal(encodeBoard(player.state.board), encodedBoard);
+
+    player.seek(ticks);
+    assert.equal(encodeBoard(player.state.board), finalBoard);
+  });
+
+  it("does not seek past the end", function () {
+    const { replay, ticks } = playGame();
+    const player = new ReplayPlayer(replay);
+
+    player.seek(ticks + 10);
+    assert.equal(player.tick, ticks);
+  });
+});
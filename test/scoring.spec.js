@@ -0,0 +1,117 @@
+import * as assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  computeScore,
+  getStars,
+  loadBestScores,
+  recordBestScore,
+} from "../src/scoring.js";
+
+/**
+ * @typedef {import("../src/scoring.js").ScoreStorage} ScoreStorage
+ */
+
+/**
+ * Creates storage that keeps items in memory
+ *
+ * @returns {ScoreStorage}
+ */
+function createStorage() {
+  /** @type {Map<string, string>} */
+  const items = new Map();
+
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => {
+      items.set(key, value);
+    },
+  };
+}
+
+describe("computeScore", function () {
+  it("rewards collectables and penalizes moves, ticks and deaths", function () {
+    assert.equal(
+      computeScore({ movesMade: 4, activeTicks: 9, collected: 1, deaths: 0 }),
+      1051
+    );
+    assert.equal(
+      computeScore({ movesMade: 4, activeTicks: 9, collected: 1, deaths: 2 }),
+      851
+    );
+  });
+
+  it("is never negative", function () {
+    assert.equal(
+      computeScore({ movesMade: 500, activeTicks: 1000, collected: 0, deaths: 3 }),
+      0
+    );
+  });
+});
+
+describe("getStars", function () {
+  /** @type {[number, 1 | 2 | 3][]} */
+  const cases = [
+    [0, 1],
+    [799, 1],
+    [800, 2],
+    [999, 2],
+    [1000, 3],
+    [2000, 3],
+  ];
+
+  cases.forEach(([score, stars]) => {
+    it(`awards ${stars} stars for ${score}`, function () {
+      assert.equal(getStars(score, [800, 1000]), stars);
+    });
+  });
+
+  it("awards one star without star scores", function () {
+    assert.equal(getStars(5000), 1);
+  });
+});
+
+describe("bestScores", function () {
+  it("loads nothing from empty storage", function () {
+    assert.deepStrictEqual(loadBestScores(createStorage()), new Map());
+  });
+
+  it("keeps the best score of each level", function () {
+    const storage = createStorage();
+
+    assert.ok(recordBestScore(storage, "level-1", 900));
+    assert.ok(recordBestScore(storage, "level-2", 500));
+    assert.ok(recordBestScore(storage, "level-1", 1000));
+    assert.ok(!recordBestScore(storage, "level-1", 950));
+    assert.ok(!recordBestScore(storage, "level-2", 500));
+
+    assert.deepStrictEqual(
+      loadBestScores(storage),
+      new Map([["level-1", 1000], ["level-2", 500]])
+    );
+  });
+
+  it("loads unreadable best scores as no scores", function () {
+    const storage = createStorage();
+
+    for (const stored of ["{", "7", "null", "[1]", "\"level-1\""]) {
+      storage.setItem("bestScores", stored);
+      assert.deepStrictEqual(loadBestScores(storage), new Map(), stored);
+    }
+  });
+
+  it("ignores unexpected scores", function () {
+    const storage = createStorage();
+    storage.setItem("bestScores", '{"level-1":"high","level-2":500}');
+
+    assert.deepStrictEqual(loadBestScores(storage), new Map([["level-2", 500]]));
+  });
+
+  it("replaces unreadable best scores when recording", function () {
+    const storage = createStorage();
+    storage.setItem("bestScores", "{");
+
+    assert.ok(recordBestScore(storage, "level-1", 900));
+    assert.deepStrictEqual(loadBestScores(storage), new Map([["level-1", 900]]));
+  });
+});
@@ -0,0 +1,79 @@
+import * as assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { decodeBoard } from "../src/board.js";
+import { solve } from "../src/solver.js";
+
+describe("solve", function () {
+  it("solves a board that is already won", function () {
+    const result = solve(decodeBoard("2;1;1Pa.1 "));
+
+    assert.deepEqual(result, { solved: true, moves: "", nodesVisited: 1 });
+  });
+
+  it("finds the shortest winning moves", function () {
+    const result = solve(decodeBoard("4;4;4 1Pa.6 1C4 "));
+
+    assert.equal(result.solved, true);
+    assert.equal(result.solved && result.moves.length, 4);
+  });
+
+  it("avoids moves that lose", function () {
+    // Walking straight down to the collectable drops the rock on the player
+    const result = solve(decodeBoard("2;3;1R.1 1Pa.1 1C1 "));
+
+    assert.equal(result.solved, true);
+    assert.equal(result.solved && result.moves, "RDL");
+  });
+
+  it("reports boards that cannot be won", function () {
+    const result = solve(decodeBoard("3;1;1Pa.1W1C"));
+
+    assert.equal(result.solved, false);
+    assert.equal(!result.solved && result.reason, "Exhausted");
+  });
+
+  it("reports boards that cannot be won within the move limit", function () {
+    const result = solve(decodeBoard("4;4;4 1Pa.6 1C4 "), { maxMoves: 3 });
+
+    assert.equal(result.solved, false);
+    assert.equal(!result.solved && result.reason, "Exhausted");
+  });
+
+  it("reports boards that do not settle at the start", function () {
+    const result = solve(decodeBoard("3;1;1Pa.1W1C"), { maxTicks: 0 });
+
+    assert.deepEqual(
+      result,
+      { solved: false, reason: "Tick limit", nodesVisited: 0 }
+    );
+  });
+
+  it("reports searches that skipped boards that did not settle", function () {
+    const result = solve(decodeBoard("3;1;1Pa.1W1C"), { maxTicks: 1 });
+
+    assert.equal(result.solved, false);
+    assert.equal(!result.solved && result.reason, "Tick limit");
+  });
+
+  it("stops at the node limit", function () {
+    const result = solve(
+      decodeBoard("4;4;4 1Pa.6 1C4 "),
+      { maxNodes: 2 }
+    );
+
+    assert.equal(result.solved, false);
+    assert.equal(!result.solved && result.reason, "Node limit");
+    assert.equal(result.nodesVisited, 2);
+  });
+
+  it("stops at the time limit", function () {
+    const result = solve(
+      decodeBoard("4;4;4 1Pa.6 1C4 "),
+      { maxTimeMs: -1 }
+    );
+
+    assert.equal(result.solved, false);
+    assert.equal(!result.solved && result.reason, "Time limit");
+  });
+});
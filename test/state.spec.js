@@ -77,6 +77,20 @@ function stabilizeState(state, intermediateBoards) {
   }
 }
 
+/**
+ * Applies an update for each board whether or not the state has settled, as
+ * enemies keep moving after it has
+ *
+ * @param {State} state
+ * @param {TestBoard[]} intermediateBoards
+ */
+function applyTicks(state, intermediateBoards) {
+  for (const expected of intermediateBoards) {
+    state.applyUpdates();
+    assert.deepStrictEqual(boardToArray(state.board), expected);
+  }
+}
+
 describe("applyPatternTileUpdates", function () {
   it("drops rocks straight down", function () {
     const board = [
@@ -2099,22 +2113,22 @@ describe("applyPatternTileUpdates", function () {
     stabilizeState(state, intermediateBoards);
   });
 
-  it("moving living players with keys do not pick up keys", function () {
+  it("moving living players with keys pick up more keys", function () {
     const board = [
-      ["Pa>g", " b"],
+      ["Pa>bg", " b"],
     ];
     const state = new State(arrayToBoard(board));
 
     const intermediateBoards = [
       [
-        [" ", "Pab.g"],
+        [" ", "Pa.bbg"],
       ],
     ];
 
     stabilizeState(state, intermediateBoards);
   });
 
-  it("moving living players drop excess keys", function () {
+  it("moving living players leave behind keys under them", function () {
     const board = [
       ["Pab>g", " "],
     ];
@@ -2223,33 +2237,1841 @@ describe("applyPatternTileUpdates", function () {
     stabilizeState(state, intermediateBoards);
   });
 
-  it("moving living players do not open doors with the excess key", function () {
+  it("moving living players use one key to open a door", function () {
+    const board = [
+      ["Pa>bb", "Xb", " "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", "Pa.b", " "],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("moving living players do not open doors with keys under them", function () {
+    const board = [
+      ["Pag>", "Xg"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["Pag.", "Xg"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("killed players lose their keys but not keys under them", function () {
+    const board = [
+      ["Pab.>g"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["Pd>b"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("slides left-moving players across ice until they are blocked", function () {
+    const board = [
+      ["W", " *", " *", "Pa<"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["W", " *", "Pa<*", " "],
+      ],
+      [
+        ["W", "Pa<*", " *", " "],
+      ],
+      [
+        ["W", "Pa.*", " *", " "],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("slides up-moving players across ice until they are blocked", function () {
+    const board = [
+      ["W"],
+      [" *"],
+      ["Pa^"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["W"],
+        ["Pa^*"],
+        [" "],
+      ],
+      [
+        ["W"],
+        ["Pa.*"],
+        [" "],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("stops sliding players on the first tile without ice", function () {
+    const board = [
+      ["Pa>", " *", " *", " ", " "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", "Pa>*", " *", " ", " "],
+      ],
+      [
+        [" ", " *", "Pa>*", " ", " "],
+      ],
+      [
+        [" ", " *", " *", "Pa.", " "],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("slides rocks pushed right onto ice until they are blocked", function () {
+    const board = [
+      ["Pa>", "R.", " *", " *", "W"],
+      ["W", "W", "W", "W", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", "Pa.", "R)*", " *", "W"],
+        ["W", "W", "W", "W", "W"],
+      ],
+      [
+        [" ", "Pa.", " *", "R)*", "W"],
+        ["W", "W", "W", "W", "W"],
+      ],
+      [
+        [" ", "Pa.", " *", "R.*", "W"],
+        ["W", "W", "W", "W", "W"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("slides rocks pushed left onto ice until they are blocked", function () {
+    const board = [
+      ["W", " *", " *", "R.", "Pa<"],
+      ["W", "W", "W", "W", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["W", " *", "R(*", "Pa.", " "],
+        ["W", "W", "W", "W", "W"],
+      ],
+      [
+        ["W", "R(*", " *", "Pa.", " "],
+        ["W", "W", "W", "W", "W"],
+      ],
+      [
+        ["W", "R.*", " *", "Pa.", " "],
+        ["W", "W", "W", "W", "W"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("sets off bombs that falling rocks land on", function () {
+    const board = [
+      [" ", "R.", " "],
+      [" ", " ", " "],
+      ["W", "B.", "Pa."],
+      ["I", "C", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", " ", " "],
+        [" ", "Rv", " "],
+        ["W", "B.", "Pa."],
+        ["I", "C", "W"],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", "R.", " "],
+        ["W", "B!", "Pa."],
+        ["I", "C", "W"],
+      ],
+      [
+        [" ", " ", " "],
+        ["E2", "E2", "E2"],
+        ["E2", "E3", "Pd"],
+        ["I", "E2", "E2"],
+      ],
+      [
+        [" ", " ", " "],
+        ["E1", "E1", "E1"],
+        ["E1", "E2", "Pd"],
+        ["I", "E1", "E1"],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        [" ", "E1", "Pd"],
+        ["I", " ", " "],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        [" ", " ", "Pd"],
+        ["I", " ", " "],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("moves bombs pushed into empty spaces", function () {
+    const board = [
+      ["W", " ", "B.", "Pa<"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["W", "B.", "Pa.", " "],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("sets off bombs pushed into something", function () {
+    const board = [
+      ["Pa>", "B.", "W", " "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["Pa.", "B!", "W", " "],
+      ],
+      [
+        ["Pd", "E3", "E2", " "],
+      ],
+      [
+        ["Pd", "E2", "E1", " "],
+      ],
+      [
+        ["Pd", "E1", " ", " "],
+      ],
+      [
+        ["Pd", " ", " ", " "],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  /** @type {[string, TestBoard, TestBoard][]} */
+  const bombPushCases = [
+    ["right", [["Pa>", "B.", " ", "W"]], [[" ", "Pa.", "B.", "W"]]],
+    ["up", [[" "], ["B."], ["Pa^"]], [["B."], ["Pa."], [" "]]],
+  ];
+
+  bombPushCases.forEach(([direction, board, expected]) => {
+    it(`moves bombs pushed ${direction} into empty spaces`, function () {
+      const state = new State(arrayToBoard(board));
+
+      stabilizeState(state, [expected]);
+    });
+  });
+
+  /** @type {[string, TestBoard, TestBoard][]} */
+  const bombSetOffCases = [
+    ["left", [[" ", "W", "B.", "Pa<"]], [[" ", "W", "B!", "Pa."]]],
+    ["up", [["W"], ["B."], ["Pa^"]], [["W"], ["B!"], ["Pa."]]],
+  ];
+
+  bombSetOffCases.forEach(([direction, board, expected]) => {
+    it(`sets off bombs pushed ${direction} into something`, function () {
+      const state = new State(arrayToBoard(board));
+
+      applyTicks(state, [expected]);
+    });
+  });
+
+  it("sets off bombs caught in explosions", function () {
+    const board = [
+      ["B!", "B.", " ", " "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["E3", "B!", " ", " "],
+      ],
+      [
+        ["E2", "E3", "E2", " "],
+      ],
+      [
+        ["E1", "E2", "E1", " "],
+      ],
+      [
+        [" ", "E1", " ", " "],
+      ],
+      [
+        [" ", " ", " ", " "],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("teleports players to the next teleporter on the channel", function () {
     const board = [
-      ["Pag>b", "Xg"],
+      ["Pa>", " T1", "W", " T2", "W", " T1", "W"],
     ];
     const state = new State(arrayToBoard(board));
 
     const intermediateBoards = [
       [
-        ["Pag.b", "Xg"],
+        [" ", " T1", "W", " T2", "W", "Pa.T1", "W"],
       ],
     ];
 
     stabilizeState(state, intermediateBoards);
   });
 
-  it("killed players drop excess keys", function () {
+  it("does not teleport players when the exit is blocked", function () {
     const board = [
-      ["Pag.>b"],
+      ["Pa>", " T1", "W", "CT1", "W"],
     ];
     const state = new State(arrayToBoard(board));
 
     const intermediateBoards = [
       [
-        ["Pd>g"],
+        [" ", "Pa.T1", "W", "CT1", "W"],
       ],
     ];
 
     stabilizeState(state, intermediateBoards);
   });
+
+  it("opens exits once everything is collected", function () {
+    const board = [
+      ["Pa>", "C", "O."],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", "Pa.", "O+"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("moves players into open exits but not closed ones", function () {
+    const board = [
+      ["O.", "Pa<", "C", "Pa>", "O+"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["O.", "Pa.", "C", " ", "O@"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  /** @type {[string, TestBoard, TestBoard][]} */
+  const exitCases = [
+    ["down", [["Pav"], ["O+"]], [[" "], ["O@"]]],
+    ["left", [["O+", "Pa<"]], [["O@", " "]]],
+    ["up", [["O+"], ["Pa^"]], [["O@"], [" "]]],
+  ];
+
+  exitCases.forEach(([direction, board, expected]) => {
+    it(`moves players ${direction} into open exits`, function () {
+      const state = new State(arrayToBoard(board));
+
+      stabilizeState(state, [expected]);
+    });
+  });
+
+  it("opens toggle walls while a player is on a plate", function () {
+    const board = [
+      ["Pa>", " S1", "R."],
+      ["W", "W", "H1"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", "Pa.S1", "R."],
+        ["W", "W", " h1"],
+      ],
+      [
+        [" ", "Pa.S1", " "],
+        ["W", "W", "Rvh1"],
+      ],
+      [
+        [" ", "Pa.S1", " "],
+        ["W", "W", "R.h1"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("opens toggle walls while a rock is on a plate", function () {
+    const board = [
+      ["R.", "W"],
+      [" ", "W"],
+      [" S2", "H2"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", "W"],
+        ["Rv", "W"],
+        [" S2", "H2"],
+      ],
+      [
+        [" ", "W"],
+        [" ", "W"],
+        ["RvS2", " h2"],
+      ],
+      [
+        [" ", "W"],
+        [" ", "W"],
+        ["R.S2", " h2"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("closes toggle walls once their plates are released", function () {
+    const board = [
+      ["Pa>S1", " ", " h1"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" S1", "Pa.", "H1"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("closes toggle walls without plates once nothing is in them", function () {
+    const board = [
+      ["Pa>h1", " ", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["H1", "Pa.", "W"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("flows lava down and spreads it across surfaces", function () {
+    const board = [
+      ["L+", " "],
+      [" ", " "],
+      ["W", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["L+", " "],
+        ["Lv", " "],
+        ["W", "W"],
+      ],
+      [
+        ["L+", " "],
+        ["L_", " "],
+        ["W", "W"],
+      ],
+      [
+        ["L+", " "],
+        ["L_", "L>"],
+        ["W", "W"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("ensures flowing lava kills a player", function () {
+    const board = [
+      ["L+", " ", " "],
+      [" ", "Pa.", "W"],
+      ["W", "W", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["L+", " ", " "],
+        ["Lv", "Pa.", "W"],
+        ["W", "W", "W"],
+      ],
+      [
+        ["L+", " ", " "],
+        ["L_", "Pd", "W"],
+        ["W", "W", "W"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("turns lava and water that meet into rock", function () {
+    const board = [
+      ["L+", " ", " ", "~+"],
+      ["W", "W", "W", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["L+", "L>", "~<", "~+"],
+        ["W", "W", "W", "W"],
+      ],
+      [
+        ["L+", "R.", "R.", "~+"],
+        ["W", "W", "W", "W"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("burns dirt next to lava away", function () {
+    const board = [
+      ["L+", "D.", "D."],
+      ["W", "W", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["L+", " ", "D."],
+        ["W", "W", "W"],
+      ],
+      [
+        ["L+", "L>", "D."],
+        ["W", "W", "W"],
+      ],
+      [
+        ["L+", "L>", " "],
+        ["W", "W", "W"],
+      ],
+      [
+        ["L+", "L>", "L>"],
+        ["W", "W", "W"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("ensures down-flowing lava kills a player", function () {
+    const board = [
+      ["L+"],
+      [" "],
+      ["Pa."],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["L+"],
+        ["Lv"],
+        ["Pa."],
+      ],
+      [
+        ["L+"],
+        ["L_"],
+        ["Pd"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("ensures both-flowing lava flows down without a surface below it", function () {
+    const board = [
+      ["L+"],
+      ["L_"],
+      [" "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["L+"],
+        ["Lv"],
+        ["Lv"],
+      ],
+      [
+        ["L+"],
+        ["Lv"],
+        ["L_"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("ensures lava flows left", function () {
+    const board = [
+      [" ", " ", "L+"],
+      ["W", "W", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", "L<", "L+"],
+        ["W", "W", "W"],
+      ],
+      [
+        ["L<", "L<", "L+"],
+        ["W", "W", "W"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("ensures left-flowing lava kills a player", function () {
+    const board = [
+      ["Pa.", " ", "L+"],
+      ["W", "W", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["Pa.", "L<", "L+"],
+        ["W", "W", "W"],
+      ],
+      [
+        ["Pd", "L<", "L+"],
+        ["W", "W", "W"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("ensures lava flowing onto water turns both into rock", function () {
+    const board = [
+      ["L+"],
+      [" "],
+      ["~+"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["L+"],
+        ["Lv"],
+        ["~+"],
+      ],
+      [
+        ["L+"],
+        ["R."],
+        ["R."],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("ensures water flowing onto lava turns both into rock", function () {
+    const board = [
+      ["~+"],
+      [" "],
+      ["L+"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["~+"],
+        ["~v"],
+        ["L+"],
+      ],
+      [
+        ["~+"],
+        ["R."],
+        ["R."],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("ensures water flowing onto lava on its right turns both into rock", function () {
+    const board = [
+      ["~+", " ", "L+"],
+      ["W", "W", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["~+", "~>", "L+"],
+        ["W", "W", "W"],
+      ],
+      [
+        ["~+", "R.", "R."],
+        ["W", "W", "W"],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("ensures down- and both-flowing lava drain without a down-flowing source", function () {
+    const board = [
+      [" ", "R.", " "],
+      [" ", " ", " "],
+      [" ", "L+", " "],
+      [" ", "W", " "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", " ", " "],
+        [" ", "Rv", " "],
+        ["L<", "L+", "L>"],
+        [" ", "W", " "],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        ["L<", "Rv", "L>"],
+        ["Lv", "W", "Lv"],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        ["L<", " ", " "],
+        ["L_", "W", "R>"],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        [" ", " ", " "],
+        ["L_", "W", "R."],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        [" ", " ", " "],
+        [" ", "W", "R."],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("ensures right-flowing lava drains without a right-flowing source", function () {
+    const board = [
+      ["R.", " ", " "],
+      [" ", " ", " "],
+      ["L+", " ", " "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", " ", " "],
+        ["Rv", " ", " "],
+        ["L+", "L>", " "],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        ["Rv", "L>", "L>"],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        ["R.", " ", "L>"],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        ["R.", " ", " "],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("ensures left-flowing lava drains without a left-flowing source", function () {
+    const board = [
+      [" ", " ", "R."],
+      [" ", " ", " "],
+      [" ", " ", "L+"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", " ", " "],
+        [" ", " ", "Rv"],
+        [" ", "L<", "L+"],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        ["L<", "L<", "Rv"],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        ["L<", "L<", "R."],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        ["L<", " ", "R."],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", " ", " "],
+        [" ", " ", "R."],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("moves players through gates in their direction", function () {
+    const board = [
+      ["Pa>", "G>", " ", " ", "G<", "Pa<"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", "G>", "Pa.", "Pa.", "G<", " "],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("moves players down and up through gates", function () {
+    const board = [
+      ["Pav", " "],
+      ["Gv", "G^"],
+      [" ", "Pa^"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" ", "Pa."],
+        ["Gv", "G^"],
+        ["Pa.", " "],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  /** @type {[string, TestBoard, TestBoard][]} */
+  const conveyoredGateCases = [
+    ["down", [["Pa.v"], ["Gv"], [" "]], [[" v"], ["Gv"], ["Pa."]]],
+    ["left", [[" ", "G<", "Pa.<"]], [["Pa.", "G<", " <"]]],
+    ["right", [["Pa.>", "G>", " "]], [[" >", "G>", "Pa."]]],
+    ["up", [[" "], ["G^"], ["Pa.^"]], [["Pa."], ["G^"], [" ^"]]],
+  ];
+
+  conveyoredGateCases.forEach(([direction, board, expected]) => {
+    it(`moves conveyored players ${direction} through gates`, function () {
+      const state = new State(arrayToBoard(board));
+
+      stabilizeState(state, [expected]);
+    });
+  });
+
+  it("blocks rocks, water and players moving against gates", function () {
+    const board = [
+      ["~+", "R.", " ", "W"],
+      ["G^", "G^", "G>", "Pa<"],
+      [" ", " ", " ", " "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        ["~+", "R.", " ", "W"],
+        ["G^", "G^", "G>", "Pa."],
+        [" ", " ", " ", " "],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("moves enemies along the wall they follow", function () {
+    const board = [
+      ["W", "W", "W", "W"],
+      ["Nl>", " ", " ", "W"],
+      ["W", "W", "W", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    applyTicks(state, [
+      [
+        ["W", "W", "W", "W"],
+        [" ", "Nl>", " ", "W"],
+        ["W", "W", "W", "W"],
+      ],
+      [
+        ["W", "W", "W", "W"],
+        [" ", " ", "Nl>", "W"],
+        ["W", "W", "W", "W"],
+      ],
+      [
+        ["W", "W", "W", "W"],
+        [" ", " ", "Nlv", "W"],
+        ["W", "W", "W", "W"],
+      ],
+      [
+        ["W", "W", "W", "W"],
+        [" ", " ", "Nl<", "W"],
+        ["W", "W", "W", "W"],
+      ],
+      [
+        ["W", "W", "W", "W"],
+        [" ", "Nl<", " ", "W"],
+        ["W", "W", "W", "W"],
+      ],
+    ]);
+  });
+
+  it("moves right-hand enemies along the wall on their right", function () {
+    const board = [
+      ["Nr<", " "],
+      [" ", " "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    applyTicks(state, [
+      [
+        ["Nrv", " "],
+        [" ", " "],
+      ],
+      [
+        [" ", " "],
+        ["Nrv", " "],
+      ],
+      [
+        [" ", " "],
+        ["Nr>", " "],
+      ],
+      [
+        [" ", " "],
+        [" ", "Nr>"],
+      ],
+      [
+        [" ", " "],
+        [" ", "Nr^"],
+      ],
+    ]);
+  });
+
+  it("kills players next to enemies", function () {
+    const board = [
+      ["Nr>", " ", "Pa."],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    applyTicks(state, [
+      [
+        [" ", "Nr>", "Pa."],
+      ],
+      [
+        [" ", "Nr^", "Pd"],
+      ],
+    ]);
+  });
+
+  it("crushes enemies under falling rocks", function () {
+    const board = [
+      ["R."],
+      [" "],
+      ["Nl<"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    applyTicks(state, [
+      [
+        [" "],
+        ["Rv"],
+        ["Nl^"],
+      ],
+      [
+        [" "],
+        [" "],
+        ["Rv"],
+      ],
+      [
+        [" "],
+        [" "],
+        ["R."],
+      ],
+    ]);
+  });
+
+  describe("enemy wall following", function () {
+    /**
+     * The encoding and offset of each way an enemy can face
+     *
+     * @type {Record<string, [string, [number, number]]>}
+     */
+    const FACINGS = {
+      Down: ["v", [0, 1]],
+      Left: ["<", [-1, 0]],
+      Right: [">", [1, 0]],
+      Up: ["^", [0, -1]],
+    };
+
+    /** @type {Record<string, string>} */
+    const LEFT_TURNS = { Down: "Right", Left: "Down", Right: "Up", Up: "Left" };
+
+    /** @type {Record<string, string>} */
+    const RIGHT_TURNS = { Down: "Left", Left: "Up", Right: "Down", Up: "Right" };
+
+    /**
+     * Creates a walled 3x3 board with an enemy in the middle
+     *
+     * @param {string} enemy The encoded enemy in the middle
+     * @param {string[]} openFacings The directions from the middle left empty
+     * @param {[string, string]} [moved] The direction the enemy moved and the
+     * encoded enemy after it moved
+     * @returns {TestBoard}
+     */
+    function createBoard(enemy, openFacings, moved) {
+      const board = [
+        ["W", "W", "W"],
+        ["W", enemy, "W"],
+        ["W", "W", "W"],
+      ];
+
+      for (const facing of openFacings) {
+        const [dx, dy] = FACINGS[facing][1];
+        board[1 + dy][1 + dx] = " ";
+      }
+
+      if (moved) {
+        const [dx, dy] = FACINGS[moved[0]][1];
+        board[1][1] = " ";
+        board[1 + dy][1 + dx] = moved[1];
+      }
+
+      return board;
+    }
+
+    ["l", "r"].forEach(hand => {
+      const [toward, away] = hand === "l" ?
+        [LEFT_TURNS, RIGHT_TURNS] :
+        [RIGHT_TURNS, LEFT_TURNS];
+
+      Object.entries(FACINGS).forEach(([facing, [facingEncoding]]) => {
+        const enemy = `N${hand}${facingEncoding}`;
+        const turned = `N${hand}${FACINGS[toward[facing]][0]}`;
+
+        it(`turns ${enemy} toward its wall when it can`, function () {
+          const state = new State(
+            arrayToBoard(createBoard(enemy, [toward[facing], facing]))
+          );
+
+          applyTicks(state, [
+            createBoard(enemy, [facing], [toward[facing], turned]),
+          ]);
+        });
+
+        it(`moves ${enemy} forward along its wall`, function () {
+          const state = new State(arrayToBoard(createBoard(enemy, [facing])));
+
+          applyTicks(state, [createBoard(enemy, [], [facing, enemy])]);
+        });
+
+        it(`turns ${enemy} away from its wall when it is blocked`, function () {
+          const state = new State(arrayToBoard(createBoard(enemy, [])));
+
+          applyTicks(state, [
+            createBoard(`N${hand}${FACINGS[away[facing]][0]}`, []),
+          ]);
+        });
+      });
+    });
+  });
+
+  it("drops rocks that slide off ice over a gap", function () {
+    const board = [
+      ["R)*", " *", " "],
+      ["W", "W", " "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    const intermediateBoards = [
+      [
+        [" *", "R)*", " "],
+        ["W", "W", " "],
+      ],
+      [
+        [" *", " *", "R."],
+        ["W", "W", " "],
+      ],
+      [
+        [" *", " *", " "],
+        ["W", "W", "Rv"],
+      ],
+      [
+        [" *", " *", " "],
+        ["W", "W", "R."],
+      ],
+    ];
+
+    stabilizeState(state, intermediateBoards);
+  });
+
+  it("turns falling rocks into collectables under magic walls", function () {
+    const board = [
+      ["Rv"],
+      ["M2."],
+      [" "],
+      [" "],
+      ["W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    applyTicks(state, [
+      [
+        [" "],
+        ["M2!"],
+        ["C"],
+        [" "],
+        ["W"],
+      ],
+      [
+        [" "],
+        ["M1!"],
+        ["C"],
+        [" "],
+        ["W"],
+      ],
+      [
+        [" "],
+        ["M0x"],
+        ["C"],
+        [" "],
+        ["W"],
+      ],
+    ]);
+    assert.ok(state.settle());
+  });
+
+  it("breaks cracked walls under falling rocks", function () {
+    const board = [
+      ["Rv", " "],
+      ["K1", " "],
+      [" ", " "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    applyTicks(state, [
+      [
+        ["R.", " "],
+        [" ", " "],
+        [" ", " "],
+      ],
+      [
+        [" ", " "],
+        ["Rv", " "],
+        [" ", " "],
+      ],
+    ]);
+  });
+
+  it("cracks sturdy cracked walls without breaking them", function () {
+    const board = [
+      ["Rv", " "],
+      ["K2", " "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    applyTicks(state, [
+      [
+        ["R.", " "],
+        ["K1", " "],
+      ],
+    ]);
+    assert.ok(state.settle());
+    assert.deepStrictEqual(boardToArray(state.board), [
+      ["R.", " "],
+      ["K1", " "],
+    ]);
+  });
+
+  it("stops rocks on magic walls without space below", function () {
+    const board = [
+      ["Rv", "Rv"],
+      ["M2.", "M0x"],
+      ["W", " "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    applyTicks(state, [
+      [
+        ["R.", "R."],
+        ["M2.", "M0x"],
+        ["W", " "],
+      ],
+    ]);
+  });
+
+  it("drops falling collectables like rocks", function () {
+    const board = [
+      [" ", "Jv", " "],
+      [" ", "R.", " "],
+      ["W", "W", "W"],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    stabilizeState(state, [
+      [
+        [" ", " ", " "],
+        [" ", "R.", "J>"],
+        ["W", "W", "W"],
+      ],
+      [
+        [" ", " ", " "],
+        [" ", "R.", "J."],
+        ["W", "W", "W"],
+      ],
+    ]);
+  });
+
+  it("ensures falling collectables kill a player", function () {
+    const board = [
+      ["J."],
+      [" "],
+      ["Pa."],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    stabilizeState(state, [
+      [
+        [" "],
+        ["Jv"],
+        ["Pa."],
+      ],
+      [
+        [" "],
+        ["J."],
+        ["Pd"],
+      ],
+    ]);
+  });
+
+  it("stops falling collectables on magic walls", function () {
+    const board = [
+      ["Jv"],
+      ["M2."],
+      [" "],
+    ];
+    const state = new State(arrayToBoard(board));
+
+    applyTicks(state, [
+      [
+        ["J."],
+        ["M2."],
+        [" "],
+      ],
+    ]);
+  });
+
+  it("drops rocks up with up gravity", function () {
+    const board = [
+      [" "],
+      [" "],
+      ["R."],
+    ];
+    const state = new State(arrayToBoard(board), { gravity: "Up" });
+
+    stabilizeState(state, [
+      [
+        [" "],
+        ["Rv"],
+        [" "],
+      ],
+      [
+        ["Rv"],
+        [" "],
+        [" "],
+      ],
+      [
+        ["R."],
+        [" "],
+        [" "],
+      ],
+    ]);
+  });
+
+  it("rolls rocks off rocks with left gravity", function () {
+    const board = [
+      [" ", " ", "R."],
+      [" ", "R.", "R."],
+      [" ", " ", " "],
+    ];
+    const state = new State(arrayToBoard(board), { gravity: "Left" });
+
+    stabilizeState(state, [
+      [
+        [" ", "Rv", " "],
+        ["Rv", "Rv", " "],
+        [" ", " ", " "],
+      ],
+      [
+        ["Rv", " ", " "],
+        ["R.", " ", " "],
+        ["R>", " ", " "],
+      ],
+      [
+        ["R.", " ", " "],
+        ["R.", " ", " "],
+        ["R.", " ", " "],
+      ],
+    ]);
+  });
+});
+
+describe("State", function () {
+  it("moves players the way they are told whatever the gravity", function () {
+    const state = new State(arrayToBoard([
+      [" ", " "],
+      ["Pa.", "R."],
+    ]), { gravity: "Right" });
+    assert.ok(state.settle());
+
+    state.movePlayers("Up");
+    assert.ok(state.settle());
+    assert.deepStrictEqual(
+      boardToArray(state.board),
+      [
+        ["Pa.", " "],
+        [" ", "R."],
+      ]
+    );
+  });
+
+  describe("undo", function () {
+    it("does nothing without a move", function () {
+      const state = new State(arrayToBoard([["Pa.", " "]]));
+      state.settle();
+
+      assert.equal(state.canUndo, false);
+      assert.equal(state.undo(), false);
+      assert.deepStrictEqual(boardToArray(state.board), [["Pa.", " "]]);
+    });
+
+    it("rewinds a move and the updates that followed it", function () {
+      const state = new State(arrayToBoard([
+        ["R.", " "],
+        ["Pa.", " "],
+      ]));
+      state.settle();
+
+      state.movePlayers("Right");
+      state.settle();
+      assert.deepStrictEqual(
+        boardToArray(state.board),
+        [
+          [" ", " "],
+          ["R.", "Pa."],
+        ]
+      );
+
+      assert.equal(state.undo(), true);
+      assert.deepStrictEqual(
+        boardToArray(state.board),
+        [
+          ["R.", " "],
+          ["Pa.", " "],
+        ]
+      );
+      assert.equal(state.updatedTiles.length, 0);
+    });
+
+    it("rewinds moves made before the board settled", function () {
+      const state = new State(arrayToBoard([["Pa.", " ", " "]]));
+      state.settle();
+
+      state.movePlayers("Right");
+      state.applyUpdates();
+      state.movePlayers("Right");
+      state.settle();
+      assert.deepStrictEqual(boardToArray(state.board), [[" ", " ", "Pa."]]);
+
+      state.undo();
+      assert.deepStrictEqual(boardToArray(state.board), [[" ", "Pa.", " "]]);
+
+      state.undo();
+      assert.deepStrictEqual(boardToArray(state.board), [["Pa.", " ", " "]]);
+      assert.equal(state.canUndo, false);
+    });
+  });
+
+  describe("redo", function () {
+    it("does nothing without an undone move", function () {
+      const state = new State(arrayToBoard([["Pa.", " "]]));
+      state.settle();
+
+      state.movePlayers("Right");
+      state.settle();
+
+      assert.equal(state.canRedo, false);
+      assert.equal(state.redo(), false);
+      assert.deepStrictEqual(boardToArray(state.board), [[" ", "Pa."]]);
+    });
+
+    it("replays an undone move", function () {
+      const state = new State(arrayToBoard([["Pa.", " "]]));
+      state.settle();
+
+      state.movePlayers("Right");
+      state.settle();
+      state.undo();
+
+      assert.equal(state.redo(), true);
+      assert.deepStrictEqual(boardToArray(state.board), [[" ", "Pa."]]);
+      assert.equal(state.canUndo, true);
+      assert.equal(state.canRedo, false);
+    });
+
+    it("is cleared by a new move", function () {
+      const state = new State(arrayToBoard([[" ", "Pa.", " "]]));
+      state.settle();
+
+      state.movePlayers("Right");
+      state.settle();
+      state.undo();
+      state.movePlayers("Left");
+      state.settle();
+
+      assert.equal(state.canRedo, false);
+      assert.deepStrictEqual(boardToArray(state.board), [["Pa.", " ", " "]]);
+    });
+  });
+
+  describe("settle", function () {
+    it("applies updates until the board is stable", function () {
+      const state = new State(arrayToBoard([["R."], [" "], [" "]]));
+
+      assert.equal(state.settle(), true);
+      assert.equal(state.updatedTiles.length, 0);
+      assert.deepStrictEqual(boardToArray(state.board), [[" "], [" "], ["R."]]);
+    });
+
+    it("stops after the maximum number of ticks", function () {
+      const state = new State(arrayToBoard([["R."], [" "], [" "]]));
+
+      assert.equal(state.settle(1), false);
+      assert.equal(state.ticks, 1);
+      assert.deepStrictEqual(boardToArray(state.board), [[" "], ["Rv"], [" "]]);
+    });
+  });
+
+  describe("clone", function () {
+    it("copies the board and inputs without the history", function () {
+      const state = new State(arrayToBoard([["Pa.", " ", " "]]));
+      state.settle();
+      state.movePlayers("Right");
+
+      const clone = state.clone();
+      assert.deepStrictEqual(boardToArray(clone.board), boardToArray(state.board));
+      assert.deepStrictEqual(clone.updatedTiles, state.updatedTiles);
+      assert.deepStrictEqual(clone.inputs, state.inputs);
+      assert.equal(clone.ticks, state.ticks);
+      assert.equal(clone.canUndo, false);
+
+      clone.settle();
+      assert.deepStrictEqual(boardToArray(clone.board), [[" ", "Pa.", " "]]);
+      assert.deepStrictEqual(boardToArray(state.board), [["Pa>", " ", " "]]);
+    });
+  });
+
+  describe("movePlayers", function () {
+    it("counts moves without a move limit", function () {
+      const state = new State(arrayToBoard([["Pa.", " ", " "]]));
+      state.settle();
+      state.movePlayers("Right");
+      state.settle();
+      state.movePlayers("Left");
+
+      assert.equal(state.movesMade, 2);
+      assert.equal(state.movesRemaining, undefined);
+    });
+
+    it("ignores moves past the move limit", function () {
+      const state = new State(
+        arrayToBoard([["Pa.", " ", " "]]),
+        { maxMoves: 1 }
+      );
+      state.settle();
+      state.movePlayers("Right");
+      state.settle();
+
+      assert.deepStrictEqual(state.movePlayers("Right"), []);
+      assert.equal(state.movesMade, 1);
+      assert.equal(state.canUndo, true);
+
+      state.undo();
+      assert.equal(state.movesRemaining, 1);
+    });
+
+    it("updates the tiles two below players", function () {
+      const state = new State(arrayToBoard([["Pa."], ["Gv"], [" "]]));
+      state.settle();
+      state.movePlayers("Down");
+      state.settle();
+
+      assert.deepStrictEqual(
+        boardToArray(state.board),
+        [[" "], ["Gv"], ["Pa."]]
+      );
+    });
+
+    it("moves players while magic walls are active", function () {
+      const state = new State(arrayToBoard([
+        ["Rv", " ", " "],
+        ["M5.", " ", "C"],
+        [" ", "Pa.", " "],
+        ["W", "W", "W"],
+      ]));
+      assert.ok(state.settle());
+      assert.equal(state.hasActiveMagicWalls, true);
+      assert.deepStrictEqual(state.updatedTiles, []);
+
+      state.movePlayers("Right");
+      assert.ok(state.settle());
+      assert.deepStrictEqual(boardToArray(state.board), [
+        [" ", " ", " "],
+        ["M2!", " ", "C"],
+        ["C", " ", "Pa."],
+        ["W", "W", "W"],
+      ]);
+      assert.equal(state.hasActiveMagicWalls, true);
+    });
+  });
+
+  describe("magic walls", function () {
+    it("count down after the board settles", function () {
+      const state = new State(arrayToBoard([["Rv"], ["M2."], [" "]]));
+      state.settle();
+
+      state.applyUpdates();
+      state.applyUpdates();
+      assert.equal(state.hasActiveMagicWalls, false);
+      assert.deepStrictEqual(boardToArray(state.board), [[" "], ["M0x"], ["C"]]);
+    });
+  });
+
+  describe("enemies", function () {
+    it("keep moving after the board settles", function () {
+      const state = new State(arrayToBoard([["Nl>", " ", " "]]));
+      state.settle();
+      assert.deepStrictEqual(state.updatedTiles, []);
+      assert.equal(state.hasEnemies, true);
+
+      state.applyUpdates();
+      assert.deepStrictEqual(state.updatedTiles, []);
+      assert.deepStrictEqual(boardToArray(state.board), [[" ", " ", "Nl>"]]);
+    });
+
+    it("do not keep the board from settling while they only turn", function () {
+      const state = new State(arrayToBoard([
+        ["W", "R.", "W"],
+        [" ", "Nl>", "W"],
+        ["W", "W", "W"],
+      ]));
+      assert.ok(state.settle());
+
+      state.applyUpdates();
+      assert.deepStrictEqual(state.updatedTiles, []);
+      assert.deepStrictEqual(boardToArray(state.board), [
+        ["W", "R.", "W"],
+        [" ", "Nl<", "W"],
+        ["W", "W", "W"],
+      ]);
+    });
+
+    it("keep the board from settling until a rock they walk out from under falls", function () {
+      const state = new State(arrayToBoard([
+        ["W", "R.", "W"],
+        [" ", "Nl<", "W"],
+        ["W", "W", "W"],
+      ]));
+
+      state.applyUpdates();
+      assert.deepStrictEqual(boardToArray(state.board), [
+        ["W", "R.", "W"],
+        ["Nl<", " ", "W"],
+        ["W", "W", "W"],
+      ]);
+      assert.notDeepStrictEqual(state.updatedTiles, []);
+
+      assert.ok(state.settle());
+      assert.equal(encodeTile(state.board.getTile([1, 1])), "R.");
+    });
+  });
+
+  describe("activeTicks", function () {
+    it("does not count enemies moving on their own", function () {
+      const state = new State(arrayToBoard([
+        ["Pa.", " ", "W"],
+        ["W", "W", "W"],
+        ["Nl>", " ", " "],
+      ]));
+      state.settle();
+      const activeTicks = state.activeTicks;
+
+      state.applyUpdates();
+      state.applyUpdates();
+      assert.equal(state.activeTicks, activeTicks);
+
+      state.movePlayers("Right");
+      state.settle();
+      assert.ok(state.activeTicks > activeTicks);
+    });
+
+    it("does not count magic walls counting down", function () {
+      const state = new State(arrayToBoard([["Rv"], ["M3."], [" "]]));
+      state.settle();
+      const activeTicks = state.activeTicks;
+
+      state.applyUpdates();
+      assert.equal(state.activeTicks, activeTicks);
+    });
+  });
+
+  describe("heldKeys", function () {
+    it("counts the keys of every living player", function () {
+      const state = new State(arrayToBoard([["Pa.bg", "Pa.b", "Pd", "Par."]]));
+      assert.deepStrictEqual(state.heldKeys, { Blue: 2, Green: 1 });
+    });
+  });
+
+  describe("deaths", function () {
+    it("counts players killed since the start", function () {
+      const state = new State(arrayToBoard([
+        ["R.", "Pd", "C"],
+        [" ", " ", "W"],
+        ["Pa.", "Pa.", "W"],
+      ]));
+      assert.equal(state.deaths, 0);
+
+      state.settle();
+      assert.equal(state.deaths, 1);
+      assert.equal(state.gameState, "In Progress");
+    });
+  });
+
+  describe("gameState", function () {
+    it("is won once everything is collected without exits", function () {
+      const state = new State(arrayToBoard([["Pa.", "C", " "]]));
+      state.settle();
+      assert.equal(state.gameState, "In Progress");
+
+      state.movePlayers("Right");
+      state.settle();
+      assert.equal(state.gameState, "Win");
+    });
+
+    it("is only won with exits once a player enters one", function () {
+      const state = new State(arrayToBoard([["C", "Pa<", "O."]]));
+      state.settle();
+      state.movePlayers("Left");
+      state.settle();
+      assert.deepStrictEqual(boardToArray(state.board), [["Pa.", " ", "O+"]]);
+      assert.equal(state.gameState, "In Progress");
+
+      state.movePlayers("Right");
+      state.settle();
+      state.movePlayers("Right");
+      state.settle();
+      assert.deepStrictEqual(boardToArray(state.board), [[" ", " ", "O@"]]);
+      assert.equal(state.gameState, "Win");
+    });
+
+    it("counts collectables made by magic walls", function () {
+      const state = new State(arrayToBoard([
+        ["Rv", " "],
+        ["M1.", " "],
+        [" ", "Pa."],
+        ["W", "W"],
+      ]));
+      state.settle();
+      assert.equal(state.collectablesRemaining, 1);
+      assert.equal(state.gameState, "In Progress");
+
+      state.movePlayers("Left");
+      state.settle();
+      assert.equal(state.collected, 1);
+      assert.equal(state.gameState, "Win");
+    });
+
+    it("counts falling collectables", function () {
+      const state = new State(arrayToBoard([
+        ["J.", " "],
+        [" ", "Pa."],
+        ["W", "W"],
+      ]));
+      state.settle();
+      assert.equal(state.originalCollectables, 1);
+      assert.equal(state.collectablesRemaining, 1);
+
+      state.movePlayers("Left");
+      state.settle();
+      assert.equal(state.collected, 1);
+      assert.equal(state.gameState, "Win");
+    });
+
+    it("is not won with magic walls before anything is collectable", function () {
+      const state = new State(arrayToBoard([["M1."], ["Pa."]]));
+      state.settle();
+      assert.equal(state.gameState, "In Progress");
+    });
+
+    it("is lost once the board settles without moves remaining", function () {
+      const state = new State(
+        arrayToBoard([["Pa.", " ", "C"]]),
+        { maxMoves: 1 }
+      );
+      state.settle();
+      assert.equal(state.movesRemaining, 1);
+
+      state.movePlayers("Right");
+      assert.equal(state.gameState, "In Progress");
+
+      state.settle();
+      assert.equal(state.movesMade, 1);
+      assert.equal(state.movesRemaining, 0);
+      assert.equal(state.gameState, "Lose");
+    });
+
+    it("is won by the last move", function () {
+      const state = new State(
+        arrayToBoard([["Pa.", "C"]]),
+        { maxMoves: 1 }
+      );
+      state.settle();
+      state.movePlayers("Right");
+      state.settle();
+      assert.equal(state.movesRemaining, 0);
+      assert.equal(state.gameState, "Win");
+    });
+  });
+
+  describe("trace listeners", function () {
+    it("receive every pattern that matches", function () {
+      const state = new State(arrayToBoard([["R."], [" "], [" "]]));
+
+      /** @type {import("../src/state.js").TraceRecord[]} */
+      const records = [];
+      state.addTraceListener(record => records.push(record));
+      state.settle();
+
+      assert.deepStrictEqual(records, [
+        {
+          tick: 0,
+          point: [0, 1],
+          description: "Rocks fall down",
+          updatedPoints: [[0, 0], [0, 1]],
+        },
+        {
+          tick: 1,
+          point: [0, 2],
+          description: "Rocks fall down",
+          updatedPoints: [[0, 1], [0, 2]],
+        },
+        {
+          tick: 2,
+          point: [0, 2],
+          description: "Falling rocks stop if there is no where to fall",
+          updatedPoints: [[0, 2]],
+        },
+      ]);
+    });
+
+    it("are not called once removed", function () {
+      const state = new State(arrayToBoard([["R."], [" "], [" "]]));
+
+      let calls = 0;
+      const cookie = state.addTraceListener(() => ++calls);
+      state.applyUpdates();
+      state.removeTraceListener(cookie);
+      state.settle();
+
+      assert.equal(calls, 1);
+    });
+  });
+
+  describe("reset", function () {
+    it("clears the move history", function () {
+      const state = new State(arrayToBoard([["Pa.", " "]]));
+      state.settle();
+
+      state.movePlayers("Right");
+      state.settle();
+      state.reset();
+
+      assert.equal(state.canUndo, false);
+      assert.equal(state.canRedo, false);
+    });
+  });
 });
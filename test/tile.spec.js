@@ -4,22 +4,34 @@ import { describe, it } from "node:test";
 import { decodeTile, encodeTile } from "../src/tile.js"
 
 /**
+ * @typedef {import("../src/tile.js").BombTile} BombTile
  * @typedef {import("../src/tile.js").ConveyorDirection} ConveyorDirection
+ * @typedef {import("../src/tile.js").CrackedWallTile} CrackedWallTile
  * @typedef {import("../src/tile.js").DeadPlayerTile} DeadPlayerTile
  * @typedef {import("../src/tile.js").DirtTile} DirtTile
  * @typedef {import("../src/tile.js").DoorTile} DoorTile
+ * @typedef {import("../src/tile.js").EnemyTile} EnemyTile
+ * @typedef {import("../src/tile.js").ExitTile} ExitTile
+ * @typedef {import("../src/tile.js").ExplosionTile} ExplosionTile
+ * @typedef {import("../src/tile.js").FallingCollectableTile} FallingCollectableTile
+ * @typedef {import("../src/tile.js").GateTile} GateTile
  * @typedef {import("../src/tile.js").GenericTile} GenericTile
  * @typedef {import("../src/tile.js").InputDirection} InputDirection
  * @typedef {import("../src/tile.js").KeyColor} KeyColor
+ * @typedef {import("../src/tile.js").KeyInventory} KeyInventory
+ * @typedef {import("../src/tile.js").LavaTile} LavaTile
  * @typedef {import("../src/tile.js").LivingPlayerTile} LivingPlayerTile
+ * @typedef {import("../src/tile.js").MagicWallTile} MagicWallTile
  * @typedef {import("../src/tile.js").RockTile} RockTile
  * @typedef {import("../src/tile.js").Tile} Tile
+ * @typedef {import("../src/tile.js").ToggleWallTile} ToggleWallTile
  * @typedef {import("../src/tile.js").WaterTile} WaterTile
  */
 
 /** @type {[ConveyorDirection, string][]} */
 const CONVEYOR_DIRECTIONS = [
   ["Down", "v"],
+  ["Ice", "*"],
   ["Left", "<"],
   ["None", ""],
   ["Right", ">"],
@@ -44,6 +56,14 @@ const KEY_COLORS = [
   ["Yellow", "y"],
 ];
 
+/** @type {[KeyInventory, string][]} */
+const KEY_INVENTORIES = [
+  [{}, ""],
+  [{ Blue: 1 }, "b"],
+  [{ Green: 2 }, "gg"],
+  [{ Blue: 1, Red: 1, Yellow: 3 }, "bryyy"],
+];
+
 /**
  * @template {Tile} T
  * @template {keyof T} Field
@@ -96,18 +116,28 @@ const appendInputDirectionCases = appendCases(
   INPUT_DIRECTIONS
 );
 
-/** @type {AppendCases<LivingPlayerTile, "excessKey">} */
-const appendExcessKeyCases = appendCases("excessKey", KEY_COLORS);
+/** @type {AppendCases<LivingPlayerTile, "keys">} */
+const appendKeyInventoryCases = appendCases("keys", KEY_INVENTORIES);
 const appendKeyColorCases = appendCases("keyColor", KEY_COLORS);
 
 /**
  * @typedef {(
+ *  Omit<BombTile, "justUpdated"> |
+ *  Omit<CrackedWallTile, "justUpdated"> |
  *  Omit<DeadPlayerTile, "justUpdated"> |
  *  Omit<DirtTile, "justUpdated"> |
  *  Omit<DoorTile, "justUpdated"> |
+ *  Omit<EnemyTile, "justUpdated"> |
+ *  Omit<ExitTile, "justUpdated"> |
+ *  Omit<ExplosionTile, "justUpdated"> |
+ *  Omit<FallingCollectableTile, "justUpdated"> |
+ *  Omit<GateTile, "justUpdated"> |
  *  Omit<GenericTile, "justUpdated"> |
+ *  Omit<LavaTile, "justUpdated"> |
  *  Omit<LivingPlayerTile, "justUpdated"> |
+ *  Omit<MagicWallTile, "justUpdated"> |
  *  Omit<RockTile, "justUpdated"> |
+ *  Omit<ToggleWallTile, "justUpdated"> |
  *  Omit<WaterTile, "justUpdated">
  * )} TileWithoutJustUpdated
  */
@@ -132,6 +162,39 @@ const successCases = [
     },
     "W",
   ],
+  [
+    {
+      type: "IndestructibleWall",
+      conveyorDirection: "None",
+      keyColor: "None",
+    },
+    "I",
+  ],
+  ...appendKeyColorCases(
+    appendConveyorCases([
+      [/** @type {BombTile} */({ type: "Bomb", isLit: false }), "B."],
+      [/** @type {BombTile} */({ type: "Bomb", isLit: true }), "B!"],
+    ])
+  ),
+  ...appendKeyColorCases(
+    appendConveyorCases([
+      [
+        /** @type {ExplosionTile} */
+        ({ type: "Explosion", ticksRemaining: 1 }),
+        "E1",
+      ],
+      [
+        /** @type {ExplosionTile} */
+        ({ type: "Explosion", ticksRemaining: 2 }),
+        "E2",
+      ],
+      [
+        /** @type {ExplosionTile} */
+        ({ type: "Explosion", ticksRemaining: 3 }),
+        "E3",
+      ],
+    ])
+  ),
   ...appendKeyColorCases(
     appendConveyorCases([
       [
@@ -197,10 +260,10 @@ const successCases = [
     },
     "Xy",
   ],
-  ...appendKeyColorCases(
-    appendConveyorCases(
+  ...appendKeyInventoryCases(
+    /** @type {[LivingPlayerTile, string][]} */ (appendConveyorCases(
       appendInputDirectionCases(
-        appendExcessKeyCases([
+        /** @type {[LivingPlayerTile, string][]} */ (appendKeyColorCases([
           [
             /** @type {LivingPlayerTile} */({
               type: "Player",
@@ -208,9 +271,9 @@ const successCases = [
             }),
             "Pa",
           ],
-        ])
+        ]))
       )
-    )
+    ))
   ),
   ...appendKeyColorCases(
     appendConveyorCases([
@@ -238,11 +301,45 @@ const successCases = [
         ({ type: "Rock", fallingDirection: "DownRight" }),
         "R>",
       ],
+      [
+        /** @type {RockTile} */
+        ({ type: "Rock", fallingDirection: "Left" }),
+        "R(",
+      ],
       [
         /** @type {RockTile} */
         ({ type: "Rock", fallingDirection: "None" }),
         "R.",
       ],
+      [
+        /** @type {RockTile} */
+        ({ type: "Rock", fallingDirection: "Right" }),
+        "R)",
+      ],
+    ])
+  ),
+  ...appendKeyColorCases(
+    appendConveyorCases([
+      [
+        /** @type {FallingCollectableTile} */
+        ({ type: "FallingCollectable", fallingDirection: "Down" }),
+        "Jv",
+      ],
+      [
+        /** @type {FallingCollectableTile} */
+        ({ type: "FallingCollectable", fallingDirection: "DownLeft" }),
+        "J<",
+      ],
+      [
+        /** @type {FallingCollectableTile} */
+        ({ type: "FallingCollectable", fallingDirection: "DownRight" }),
+        "J>",
+      ],
+      [
+        /** @type {FallingCollectableTile} */
+        ({ type: "FallingCollectable", fallingDirection: "None" }),
+        "J.",
+      ],
     ])
   ),
   ...appendKeyColorCases(
@@ -274,6 +371,224 @@ const successCases = [
       ],
     ])
   ),
+  ...appendKeyColorCases(
+    appendConveyorCases([
+      [
+        /** @type {LavaTile} */
+        ({ type: "Lava", flowDirection: "All" }),
+        "L+",
+      ],
+      [
+        /** @type {LavaTile} */
+        ({ type: "Lava", flowDirection: "Both" }),
+        "L_",
+      ],
+      [
+        /** @type {LavaTile} */
+        ({ type: "Lava", flowDirection: "Down" }),
+        "Lv",
+      ],
+      [
+        /** @type {LavaTile} */
+        ({ type: "Lava", flowDirection: "Left" }),
+        "L<",
+      ],
+      [
+        /** @type {LavaTile} */
+        ({ type: "Lava", flowDirection: "Right" }),
+        "L>",
+      ],
+    ])
+  ),
+  [
+    /** @type {GateTile} */
+    ({
+      type: "Gate",
+      direction: "Down",
+      conveyorDirection: "None",
+      keyColor: "None",
+    }),
+    "Gv",
+  ],
+  [
+    /** @type {GateTile} */
+    ({
+      type: "Gate",
+      direction: "Left",
+      conveyorDirection: "None",
+      keyColor: "None",
+    }),
+    "G<",
+  ],
+  [
+    /** @type {GateTile} */
+    ({
+      type: "Gate",
+      direction: "Right",
+      conveyorDirection: "None",
+      keyColor: "None",
+    }),
+    "G>",
+  ],
+  [
+    /** @type {GateTile} */
+    ({
+      type: "Gate",
+      direction: "Up",
+      conveyorDirection: "None",
+      keyColor: "None",
+    }),
+    "G^",
+  ],
+  ...appendKeyColorCases(
+    appendConveyorCases([
+      [
+        /** @type {EnemyTile} */
+        ({ type: "Enemy", hand: "Left", facingDirection: "Down" }),
+        "Nlv",
+      ],
+      [
+        /** @type {EnemyTile} */
+        ({ type: "Enemy", hand: "Left", facingDirection: "Left" }),
+        "Nl<",
+      ],
+      [
+        /** @type {EnemyTile} */
+        ({ type: "Enemy", hand: "Right", facingDirection: "Right" }),
+        "Nr>",
+      ],
+      [
+        /** @type {EnemyTile} */
+        ({ type: "Enemy", hand: "Right", facingDirection: "Up" }),
+        "Nr^",
+      ],
+    ])
+  ),
+  ...appendKeyColorCases(
+    appendConveyorCases([
+      [
+        /** @type {ExitTile} */({ type: "Exit", status: "Closed" }),
+        "O.",
+      ],
+      [
+        /** @type {ExitTile} */({ type: "Exit", status: "Entered" }),
+        "O@",
+      ],
+      [
+        /** @type {ExitTile} */({ type: "Exit", status: "Open" }),
+        "O+",
+      ],
+    ])
+  ),
+  [
+    /** @type {GenericTile} */
+    ({
+      type: "Empty",
+      conveyorDirection: "None",
+      keyColor: "None",
+      teleporterChannel: "1",
+    }),
+    " T1",
+  ],
+  [
+    /** @type {LivingPlayerTile} */
+    ({
+      type: "Player",
+      isAlive: true,
+      inputDirection: "Left",
+      keys: { Blue: 1 },
+      conveyorDirection: "Ice",
+      keyColor: "Red",
+      teleporterChannel: "0",
+    }),
+    "Par<*bT0",
+  ],
+  [
+    /** @type {ToggleWallTile} */
+    ({
+      type: "ToggleWall",
+      channel: "3",
+      conveyorDirection: "None",
+      keyColor: "None",
+    }),
+    "H3",
+  ],
+  [
+    /** @type {MagicWallTile} */
+    ({
+      type: "MagicWall",
+      status: "Dormant",
+      ticksRemaining: 5,
+      conveyorDirection: "None",
+      keyColor: "None",
+    }),
+    "M5.",
+  ],
+  [
+    /** @type {MagicWallTile} */
+    ({
+      type: "MagicWall",
+      status: "Active",
+      ticksRemaining: 12,
+      conveyorDirection: "None",
+      keyColor: "None",
+    }),
+    "M12!",
+  ],
+  [
+    /** @type {MagicWallTile} */
+    ({
+      type: "MagicWall",
+      status: "Expired",
+      ticksRemaining: 0,
+      conveyorDirection: "None",
+      keyColor: "None",
+    }),
+    "M0x",
+  ],
+  [
+    /** @type {CrackedWallTile} */
+    ({
+      type: "CrackedWall",
+      hitsRemaining: 2,
+      conveyorDirection: "None",
+      keyColor: "None",
+    }),
+    "K2",
+  ],
+  [
+    /** @type {GenericTile} */
+    ({
+      type: "Empty",
+      conveyorDirection: "None",
+      keyColor: "None",
+      plateChannel: "2",
+    }),
+    " S2",
+  ],
+  [
+    /** @type {GenericTile} */
+    ({
+      type: "Empty",
+      conveyorDirection: "None",
+      keyColor: "None",
+      toggleWallChannel: "4",
+    }),
+    " h4",
+  ],
+  [
+    /** @type {RockTile} */
+    ({
+      type: "Rock",
+      fallingDirection: "None",
+      conveyorDirection: "None",
+      keyColor: "None",
+      teleporterChannel: "1",
+      plateChannel: "2",
+      toggleWallChannel: "3",
+    }),
+    "R.T1S2h3",
+  ],
 ];
 
 describe("encodeTile", function () {
@@ -305,16 +620,66 @@ describe("decodeTile", function () {
     });
   });
 
+  it("decodes players from before key inventories holding their key", function () {
+    // These boards had an excess key before the input direction and the held
+    // key last
+    for (const encoding of ["Pa.b", "Pag<*r", "Pay>"]) {
+      const { tile } = decodeTile([...encoding], 0);
+      assert.equal(encodeTile(tile), encoding);
+    }
+
+    assert.deepEqual(decodeTile([..."Pag<*r"], 0).tile, {
+      type: "Player",
+      isAlive: true,
+      inputDirection: "Left",
+      keys: { Red: 1 },
+      justUpdated: false,
+      conveyorDirection: "Ice",
+      keyColor: "Green",
+    });
+  });
+
   /** @type {[string, string][]} */
   const failureCases = [
     ["", "Unexpected tile undefined at 0"],
+    [" T", "Unexpected teleporter channel undefined at 2"],
+    [" Tz", "Unexpected teleporter channel z at 2"],
+    [" S", "Unexpected plate channel undefined at 2"],
+    [" T1Sz", "Unexpected plate channel z at 4"],
+    [" h", "Unexpected toggle wall channel undefined at 2"],
+    [" hz", "Unexpected toggle wall channel z at 2"],
     ["!", "Unexpected tile ! at 0"],
+    ["B", "Unexpected bomb status undefined at 1"],
+    ["Bz", "Unexpected bomb status z at 1"],
     ["D", "Unexpected flow direction undefined at 1"],
     ["D#", "Unexpected flow direction # at 1"],
+    ["E", "Unexpected ticks remaining undefined at 1"],
+    ["E4", "Unexpected ticks remaining 4 at 1"],
+    ["G", "Unexpected gate direction undefined at 1"],
+    ["N", "Unexpected enemy hand undefined at 1"],
+    ["Nz", "Unexpected enemy hand z at 1"],
+    ["Nl", "Unexpected facing direction undefined at 2"],
+    ["Nl.", "Unexpected facing direction . at 2"],
+    ["G*", "Unexpected gate direction \\* at 1"],
+    ["H", "Unexpected toggle wall channel undefined at 1"],
+    ["Hz", "Unexpected toggle wall channel z at 1"],
+    ["J", "Unexpected falling direction undefined at 1"],
+    ["J(", "Unexpected falling direction \\( at 1"],
+    ["K", "Unexpected cracked wall hits undefined at 1"],
+    ["K3", "Unexpected cracked wall hits 3 at 1"],
+    ["L", "Unexpected flow direction undefined at 1"],
+    ["L#", "Unexpected flow direction # at 1"],
+    ["M", "Unexpected magic wall ticks undefined at 1"],
+    ["M.", "Unexpected magic wall ticks . at 1"],
+    ["M5", "Unexpected magic wall status undefined at 2"],
+    ["M5z", "Unexpected magic wall status z at 2"],
+    ["O", "Unexpected exit status undefined at 1"],
+    ["Oz", "Unexpected exit status z at 1"],
     ["P", "Unexpected player status undefined at 1"],
     ["Pz", "Unexpected player status z at 1"],
     ["Paz", "Unexpected input direction z at 2"],
     ["Pagz", "Unexpected input direction z at 3"],
+    ["Pabg.", "Unexpected input direction g at 3"],
     ["R", "Unexpected falling direction undefined at 1"],
     ["Rz", "Unexpected falling direction z at 1"],
     ["X", "Unexpected color undefined at 1"],
@@ -0,0 +1,55 @@
+import * as assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { encodeTile } from "../src/tile.js";
+import { getTileUniverse } from "../src/tileUniverse.js";
+
+/**
+ * @typedef {import("../src/tile.js").Tile} Tile
+ */
+
+/**
+ * Every type of tile, which the type checker keeps complete
+ *
+ * @type {Record<Tile["type"], true>}
+ */
+const TILE_TYPES = {
+  Bomb: true,
+  Collectable: true,
+  CrackedWall: true,
+  Dirt: true,
+  Door: true,
+  Empty: true,
+  Enemy: true,
+  Exit: true,
+  Explosion: true,
+  FallingCollectable: true,
+  Gate: true,
+  IndestructibleWall: true,
+  Lava: true,
+  MagicWall: true,
+  Player: true,
+  Rock: true,
+  ToggleWall: true,
+  Wall: true,
+  Water: true,
+};
+
+describe("getTileUniverse", function () {
+  it("contains distinct tiles that are and are not just updated", function () {
+    const universe = getTileUniverse();
+    const keys = universe.map(
+      tile => `${encodeTile(tile)} ${tile.justUpdated}`
+    );
+
+    assert.equal(new Set(keys).size, universe.length);
+    assert.ok(keys.includes("Parv<b true"));
+    assert.ok(keys.includes("Xy false"));
+  });
+
+  it("contains every type of tile", function () {
+    const types = new Set(getTileUniverse().map(tile => tile.type));
+
+    assert.deepEqual([...types].sort(), Object.keys(TILE_TYPES).sort());
+  });
+});